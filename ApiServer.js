@@ -0,0 +1,468 @@
+const http = require("http");
+const { URL } = require("url");
+const {
+  ValidationError,
+  DuplicateOrderError,
+  NotFoundError,
+  InvalidTransitionError,
+  WebhookSignatureError,
+} = require("./errors");
+const EventStream = require("./EventStream");
+
+const MAX_BODY_BYTES = 1024 * 1024;
+
+/**
+ * ApiServer - REST HTTP API over the order system, built on Node's
+ * http module. Responses and error bodies are JSON.
+ */
+class ApiServer {
+  /**
+   * @param {Object} system - Services returned by initializeOrderSystem()
+   * @param {Object} [options] - { eventStream } options for the SSE stream
+   *   (see EventStream)
+   */
+  constructor(system, options = {}) {
+    this.system = system;
+    this.eventStream = new EventStream(system.eventBus, options.eventStream);
+    this.server = http.createServer((req, res) => this.handleRequest(req, res));
+
+    // [method, path pattern, handler] - handlers receive
+    // ({ params, query, body, rawBody, headers, req, res }) and return
+    // { status, body }, or nothing if they wrote the response themselves
+    this.routes = [
+      ["POST", "/orders", this.createOrder],
+      ["GET", "/orders", this.listOrders],
+      ["GET", "/orders/:orderId", this.getOrder],
+      ["POST", "/orders/:orderId/cancel", this.cancelOrder],
+      ["GET", "/inventory", this.getInventory],
+      ["POST", "/inventory/:item/stock", this.addStock],
+      ["GET", "/inventory/:item/history", this.getStockHistory],
+      ["GET", "/shipments/track/:trackingNumber", this.trackShipment],
+      ["POST", "/carriers/:carrier/webhook", this.receiveCarrierWebhook],
+      ["GET", "/emails", this.listEmails],
+      ["GET", "/emails/preview/:type", this.previewEmail],
+      ["GET", "/customers/:customer/preferences", this.getPreferences],
+      ["PUT", "/customers/:customer/preferences", this.updatePreferences],
+      ["GET", "/unsubscribe/:token", this.unsubscribe],
+      ["POST", "/unsubscribe/:token", this.unsubscribe],
+      ["GET", "/notifications", this.listNotifications],
+      ["GET", "/events", this.streamEvents],
+    ].map(([method, path, handler]) => ({
+      method,
+      ...compilePath(path),
+      handler: handler.bind(this),
+    }));
+  }
+
+  /**
+   * Start listening for requests
+   * @param {number} [port] - Port to listen on (0 picks a free port)
+   * @returns {Promise<number>} The port the server is listening on
+   */
+  listen(port = 0) {
+    return new Promise((resolve, reject) => {
+      this.server.once("error", reject);
+      this.server.listen(port, () => {
+        this.server.off("error", reject);
+        resolve(this.server.address().port);
+      });
+    });
+  }
+
+  /**
+   * Stop accepting requests and disconnect event stream clients
+   * @returns {Promise<void>} Resolves once the server has closed
+   */
+  close() {
+    this.eventStream.close();
+    return new Promise((resolve, reject) => {
+      this.server.close((error) => (error ? reject(error) : resolve()));
+    });
+  }
+
+  /**
+   * Route a request and write the JSON response
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   */
+  async handleRequest(req, res) {
+    const url = new URL(req.url, "http://localhost");
+    let status;
+    let body;
+
+    try {
+      const match = this.matchRoute(req.method, url.pathname);
+      const rawBody = ["POST", "PUT"].includes(req.method)
+        ? await readBody(req)
+        : undefined;
+      const request = {
+        params: match.params,
+        query: Object.fromEntries(url.searchParams),
+        body: rawBody === undefined ? undefined : parseJsonBody(rawBody),
+        rawBody,
+        headers: req.headers,
+        req,
+        res,
+      };
+      const result = await match.route.handler(request);
+      if (!result) return;
+      ({ status, body } = result);
+    } catch (error) {
+      status = error.statusCode || statusForError(error);
+      body = {
+        error: {
+          code: error.code || "INTERNAL_ERROR",
+          message: status === 500 ? "Internal server error" : error.message,
+        },
+      };
+      if (status === 500) {
+        console.error(`[ApiServer] ${req.method} ${req.url} failed:`, error);
+      }
+    }
+
+    res.writeHead(status, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(body));
+  }
+
+  /**
+   * Find the route for a request
+   * @param {string} method - HTTP method
+   * @param {string} pathname - Request path
+   * @returns {Object} { route, params }
+   * @throws {NotFoundError} If no route matches the path
+   * @throws {ValidationError} If a path parameter isn't valid
+   *   percent-encoding
+   */
+  matchRoute(method, pathname) {
+    let pathMatched = false;
+    for (const route of this.routes) {
+      const match = route.regex.exec(pathname);
+      if (!match) continue;
+      pathMatched = true;
+      if (route.method === method) {
+        const params = route.keys.reduce((values, key, index) => {
+          values[key] = decodeParam(match[index + 1]);
+          return values;
+        }, {});
+        return { route, params };
+      }
+    }
+
+    if (pathMatched) {
+      throw httpError(405, "METHOD_NOT_ALLOWED", `${method} not allowed`);
+    }
+    throw new NotFoundError(`No route for ${method} ${pathname}`);
+  }
+
+  /**
+   * Check a request carries the customer's token as
+   * "Authorization: Bearer <token>"
+   * @param {string} customer - Customer email address
+   * @param {Object} headers - Request headers
+   * @throws {Error} 401 if the token is missing or isn't the customer's
+   */
+  authorizeCustomer(customer, headers) {
+    const match = /^Bearer\s+(\S+)$/i.exec(headers.authorization || "");
+    if (
+      !match ||
+      !this.system.notificationService.verifyCustomerToken(customer, match[1])
+    ) {
+      throw httpError(
+        401,
+        "UNAUTHORIZED",
+        "A valid customer token is required"
+      );
+    }
+  }
+
+  // POST /orders
+  createOrder({ body }) {
+    const order = this.system.orderService.createOrder(body);
+    return { status: 201, body: order };
+  }
+
+  // GET /orders?status=
+  listOrders({ query }) {
+    const { orderService } = this.system;
+    const orders = query.status
+      ? orderService.getOrdersByStatus(query.status)
+      : orderService.getAllOrders();
+    return { status: 200, body: orders };
+  }
+
+  // GET /orders/:orderId
+  getOrder({ params }) {
+    const order = this.system.orderService.getOrder(params.orderId);
+    if (!order) {
+      throw new NotFoundError(`Order ${params.orderId} not found`);
+    }
+    return { status: 200, body: order };
+  }
+
+  // POST /orders/:orderId/cancel
+  cancelOrder({ params, body }) {
+    const order = this.system.orderService.cancelOrder(
+      params.orderId,
+      body.reason
+    );
+    return { status: 200, body: order };
+  }
+
+  // GET /inventory
+  getInventory() {
+    return { status: 200, body: this.system.inventoryService.getInventory() };
+  }
+
+  // POST /inventory/:item/stock - body { quantity, warehouse?, reason? }
+  addStock({ params, body }) {
+    const { inventoryService } = this.system;
+    if (!Number.isInteger(body.quantity) || body.quantity < 1) {
+      throw new ValidationError("quantity must be a positive integer");
+    }
+    if (!inventoryService.inventory.has(params.item)) {
+      throw new NotFoundError(`Item ${params.item} not found`);
+    }
+
+    inventoryService.addStock(params.item, body.quantity, body.warehouse, {
+      reason: body.reason,
+      actor: "api",
+    });
+    return {
+      status: 200,
+      body: {
+        item: params.item,
+        ...inventoryService.inventory.get(params.item),
+      },
+    };
+  }
+
+  // GET /inventory/:item/history
+  getStockHistory({ params }) {
+    const { inventoryService } = this.system;
+    if (!inventoryService.inventory.has(params.item)) {
+      throw new NotFoundError(`Item ${params.item} not found`);
+    }
+    return {
+      status: 200,
+      body: inventoryService.getStockHistory(params.item),
+    };
+  }
+
+  // GET /shipments/track/:trackingNumber
+  trackShipment({ params }) {
+    const shipment = this.system.shippingService.trackShipment(
+      params.trackingNumber
+    );
+    if (!shipment) {
+      throw new NotFoundError(`Shipment ${params.trackingNumber} not found`);
+    }
+    return { status: 200, body: shipment };
+  }
+
+  // POST /carriers/:carrier/webhook - body { trackingNumber, events },
+  // signed in the X-Carrier-Signature header
+  receiveCarrierWebhook({ params, rawBody, headers }) {
+    return {
+      status: 200,
+      body: this.system.shippingService.handleCarrierWebhook(
+        params.carrier,
+        rawBody,
+        headers["x-carrier-signature"]
+      ),
+    };
+  }
+
+  // GET /emails?orderId=&status=
+  listEmails({ query }) {
+    const { emailService } = this.system;
+    let emails = query.orderId
+      ? emailService.getEmailsForOrder(query.orderId)
+      : emailService.getEmailHistory();
+    if (query.status) {
+      const withStatus = new Set(emailService.getEmailsByStatus(query.status));
+      emails = emails.filter((email) => withStatus.has(email));
+    }
+    return { status: 200, body: emails };
+  }
+
+  // GET /emails/preview/:type?locale=
+  previewEmail({ params, query }) {
+    return {
+      status: 200,
+      body: this.system.emailService.previewTemplate(params.type, {
+        locale: query.locale,
+      }),
+    };
+  }
+
+  // GET /customers/:customer/preferences - needs the customer's token
+  getPreferences({ params, headers }) {
+    this.authorizeCustomer(params.customer, headers);
+    return {
+      status: 200,
+      body: this.system.notificationService.getPreferences(params.customer),
+    };
+  }
+
+  // PUT /customers/:customer/preferences - needs the customer's token;
+  // body { events, channels, phone, webhookUrl, quietHours, unsubscribed }
+  // (any of them)
+  updatePreferences({ params, body, headers }) {
+    this.authorizeCustomer(params.customer, headers);
+    return {
+      status: 200,
+      body: this.system.notificationService.updatePreferences(
+        params.customer,
+        body
+      ),
+    };
+  }
+
+  // POST /unsubscribe/:token - body { channel? }; GET /unsubscribe/:token?channel=
+  // is the link in notifications
+  unsubscribe({ params, query, body }) {
+    return {
+      status: 200,
+      body: this.system.notificationService.unsubscribe(
+        params.token,
+        body ? body.channel : query.channel
+      ),
+    };
+  }
+
+  // GET /notifications?orderId=&customer=&status=&channel=
+  listNotifications({ query }) {
+    return {
+      status: 200,
+      body: this.system.notificationService.getNotifications(query),
+    };
+  }
+
+  // GET /events?pattern=&orderId= (Server-Sent Events)
+  streamEvents({ query, headers, req, res }) {
+    const lastEventId = headers["last-event-id"] || query.lastEventId;
+    if (lastEventId !== undefined && !/^\d+$/.test(lastEventId)) {
+      throw new ValidationError("Last-Event-ID must be a non-negative integer");
+    }
+
+    this.eventStream.connect(req, res, {
+      pattern: query.pattern,
+      orderId: query.orderId,
+      lastEventId: lastEventId === undefined ? undefined : Number(lastEventId),
+    });
+  }
+}
+
+/**
+ * Compile a route path such as "/orders/:orderId" into a regex
+ * @param {string} path - Route path
+ * @returns {Object} { regex, keys }
+ */
+function compilePath(path) {
+  const keys = [];
+  const pattern = path.replace(/:(\w+)/g, (_, key) => {
+    keys.push(key);
+    return "([^/]+)";
+  });
+  return { regex: new RegExp(`^${pattern}/?$`), keys };
+}
+
+/**
+ * Map a service error to an HTTP status code
+ * @param {Error} error - Error thrown by a handler
+ * @returns {number} HTTP status code
+ */
+function statusForError(error) {
+  if (error instanceof ValidationError) return 400;
+  if (error instanceof WebhookSignatureError) return 401;
+  if (error instanceof NotFoundError) return 404;
+  if (error instanceof DuplicateOrderError) return 409;
+  if (error instanceof InvalidTransitionError) return 409;
+  return 500;
+}
+
+/**
+ * Decode a percent-encoded path parameter
+ * @param {string} value - Raw parameter
+ * @returns {string} Decoded parameter
+ * @throws {ValidationError} If the encoding is malformed
+ */
+function decodeParam(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (error) {
+    throw new ValidationError(`Malformed URL encoding: ${value}`);
+  }
+}
+
+/**
+ * Create an error carrying an explicit HTTP status
+ * @param {number} statusCode - HTTP status code
+ * @param {string} code - Error code for the response body
+ * @param {string} message - Error message
+ * @returns {Error} Error with statusCode and code
+ */
+function httpError(statusCode, code, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.code = code;
+  return error;
+}
+
+/**
+ * Read a request body
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<string>} The body as UTF-8 text
+ */
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(httpError(413, "PAYLOAD_TOO_LARGE", "Request body too large"));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("error", reject);
+    req.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+  });
+}
+
+/**
+ * Parse a JSON request body (an empty body is treated as {})
+ * @param {string} text - Raw body
+ * @returns {Object} Parsed body
+ * @throws {ValidationError} If the body isn't a JSON object
+ */
+function parseJsonBody(text) {
+  if (text.trim() === "") {
+    return {};
+  }
+  let body;
+  try {
+    body = JSON.parse(text);
+  } catch (error) {
+    body = null;
+  }
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    throw new ValidationError("Request body must be a JSON object");
+  }
+  return body;
+}
+
+// Run the API server if called directly
+if (require.main === module) {
+  const { initializeOrderSystem } = require("./index");
+  const port = Number(process.env.PORT) || 3000;
+  const apiServer = new ApiServer(initializeOrderSystem());
+  apiServer.listen(port).then((listeningPort) => {
+    console.log(`[ApiServer] Listening on http://localhost:${listeningPort}`);
+  });
+}
+
+module.exports = ApiServer;
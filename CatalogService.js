@@ -0,0 +1,365 @@
+const { DEFAULT_CATALOG } = require("./defaultCatalog");
+const { ValidationError, NotFoundError } = require("./errors");
+const InMemoryRepository = require("./InMemoryRepository");
+
+const DEFAULT_CATEGORIES = [
+  "laptops",
+  "phones",
+  "tablets",
+  "accessories",
+  "wearables",
+  "general",
+];
+const VARIANT_ATTRIBUTES = ["size", "color", "storage"];
+const PRODUCT_STATUSES = ["active", "discontinued"];
+// Fields updateProduct() may change; SKUs never change
+const PRODUCT_FIELDS = ["name", "category", "price", "status"];
+const VARIANT_FIELDS = ["attributes", "price", "status"];
+
+/**
+ * CatalogService - The product catalog, keyed by SKU. A product is either
+ * sold as-is under its own SKU or comes in variants (size, color,
+ * storage), each with its own SKU; only those SKUs can be ordered.
+ *
+ * Product: { sku, name, category, price, status, variants: [{ sku,
+ * attributes, price, status }] }, where status is "active" or
+ * "discontinued" and prices are in dollars.
+ */
+class CatalogService {
+  /**
+   * @param {EventBus} eventBus - Event bus
+   * @param {Object} [repositories] - Storage for { products } (default:
+   *   in-memory). An empty catalog is seeded with the demo products.
+   * @param {Object} [options] - Catalog options
+   * @param {string[]} [options.categories] - Allowed product categories
+   */
+  constructor(eventBus, repositories = {}, options = {}) {
+    this.eventBus = eventBus;
+    this.products = repositories.products || new InMemoryRepository();
+    this.categories = options.categories || DEFAULT_CATEGORIES;
+    if (this.products.size === 0) {
+      DEFAULT_CATALOG.forEach(({ sku, name, category, price }) => {
+        this.products.set(
+          sku,
+          this.validateProduct({ sku, name, category, price })
+        );
+      });
+    }
+
+    // Catalog events carry a snapshot of the product
+    const restoreProduct = (data) => {
+      this.products.set(data.product.sku, data.product);
+    };
+    this.eventBus.onReplay("catalog:product_added", restoreProduct);
+    this.eventBus.onReplay("catalog:product_updated", restoreProduct);
+    this.eventBus.onReplay("catalog:product_removed", (data) => {
+      this.products.delete(data.sku);
+    });
+  }
+
+  /**
+   * Add a product to the catalog
+   * @param {Object} productData - { sku, name, category, price, status,
+   *   variants: [{ sku, attributes, price, status }] }; variants default to
+   *   the product's price and status
+   * @returns {Object} The stored product
+   * @throws {ValidationError} If a SKU is taken or any field is invalid
+   */
+  addProduct(productData) {
+    const product = this.validateProduct(productData);
+    [product, ...product.variants].forEach(({ sku }) => {
+      if (this.findSku(sku)) {
+        throw new ValidationError(`SKU ${sku} already exists`);
+      }
+    });
+
+    this.products.set(product.sku, product);
+    console.log(`[CatalogService] Product added: ${product.sku}`);
+    this.eventBus.emit("catalog:product_added", {
+      sku: product.sku,
+      product,
+      sellables: this.getSellables(product),
+    });
+    return product;
+  }
+
+  /**
+   * Update a product, or one of its variants by the variant's SKU
+   * @param {string} sku - Product or variant SKU
+   * @param {Object} changes - Product: { name, category, price, status };
+   *   variant: { attributes, price, status }
+   * @returns {Object} The updated product
+   * @throws {NotFoundError} If the SKU doesn't exist
+   * @throws {ValidationError} If a change isn't allowed or is invalid
+   */
+  updateProduct(sku, changes) {
+    const found = this.findSku(sku);
+    if (!found) {
+      throw new NotFoundError(`SKU ${sku} not found`, "SKU_NOT_FOUND");
+    }
+
+    const allowed = found.variant ? VARIANT_FIELDS : PRODUCT_FIELDS;
+    Object.keys(changes).forEach((field) => {
+      if (!allowed.includes(field)) {
+        throw new ValidationError(`Can't update ${field} of SKU ${sku}`);
+      }
+    });
+
+    const { product } = found;
+    const updated = found.variant
+      ? {
+          ...product,
+          variants: product.variants.map((variant) =>
+            variant.sku === sku ? { ...variant, ...changes } : variant
+          ),
+        }
+      : { ...product, ...changes };
+    const validated = this.validateProduct(updated);
+
+    this.products.set(validated.sku, validated);
+    console.log(`[CatalogService] Product updated: ${sku}`);
+    this.eventBus.emit("catalog:product_updated", {
+      sku,
+      changes,
+      product: validated,
+      sellables: this.getSellables(validated),
+    });
+    return validated;
+  }
+
+  /**
+   * Remove a product and all its variants from the catalog. Existing
+   * orders keep their lines; the SKUs just can't be ordered any more.
+   * @param {string} sku - Product SKU
+   * @returns {Object} The removed product
+   * @throws {NotFoundError} If the product doesn't exist
+   */
+  removeProduct(sku) {
+    const product = this.products.get(sku);
+    if (!product) {
+      throw new NotFoundError(`Product ${sku} not found`, "SKU_NOT_FOUND");
+    }
+
+    this.products.delete(sku);
+    console.log(`[CatalogService] Product removed: ${sku}`);
+    this.eventBus.emit("catalog:product_removed", { sku, product });
+    return product;
+  }
+
+  /**
+   * Validate product data and fill in defaults
+   * @param {Object} productData - Product data
+   * @returns {Object} Normalized product
+   * @throws {ValidationError} If any field is invalid
+   */
+  validateProduct(productData) {
+    const { sku, name, category = "general" } = productData;
+    if (typeof sku !== "string" || !sku.trim()) {
+      throw new ValidationError("Product SKU is required");
+    }
+    if (typeof name !== "string" || !name.trim()) {
+      throw new ValidationError(`Product ${sku} needs a name`);
+    }
+    if (!this.categories.includes(category)) {
+      throw new ValidationError(`Unknown category for ${sku}: ${category}`);
+    }
+    const price = this.validatePrice(sku, productData.price);
+    const status = this.validateStatus(sku, productData.status);
+
+    const variantSkus = new Set();
+    const variants = (productData.variants || []).map((variant) => {
+      if (typeof variant.sku !== "string" || !variant.sku.trim()) {
+        throw new ValidationError(`A variant of ${sku} is missing its SKU`);
+      }
+      if (variant.sku === sku || variantSkus.has(variant.sku)) {
+        throw new ValidationError(`Duplicate variant SKU: ${variant.sku}`);
+      }
+      variantSkus.add(variant.sku);
+
+      const attributes = variant.attributes || {};
+      const attributeNames = Object.keys(attributes);
+      if (attributeNames.length === 0) {
+        throw new ValidationError(`Variant ${variant.sku} needs attributes`);
+      }
+      attributeNames.forEach((attribute) => {
+        if (!VARIANT_ATTRIBUTES.includes(attribute)) {
+          throw new ValidationError(
+            `Unknown variant attribute for ${variant.sku}: ${attribute}`
+          );
+        }
+      });
+
+      return {
+        sku: variant.sku,
+        attributes: { ...attributes },
+        price:
+          variant.price === undefined
+            ? price
+            : this.validatePrice(variant.sku, variant.price),
+        status: this.validateStatus(variant.sku, variant.status),
+      };
+    });
+
+    return { sku, name, category, price, status, variants };
+  }
+
+  /**
+   * Validate a price in dollars: a non-negative amount with at most two
+   * decimal places
+   * @param {string} sku - SKU the price is for, for the error message
+   * @param {*} price - Price to check
+   * @returns {number} The price
+   * @throws {ValidationError} If the price is invalid
+   */
+  validatePrice(sku, price) {
+    const cents = price * 100;
+    if (
+      typeof price !== "number" ||
+      !Number.isFinite(price) ||
+      price < 0 ||
+      Math.abs(cents - Math.round(cents)) > 1e-6
+    ) {
+      throw new ValidationError(`Invalid price for ${sku}: ${price}`);
+    }
+    return price;
+  }
+
+  /**
+   * Validate a product or variant status
+   * @param {string} sku - SKU the status is for, for the error message
+   * @param {string} [status] - Status (default: "active")
+   * @returns {string} The status
+   * @throws {ValidationError} If the status is unknown
+   */
+  validateStatus(sku, status = "active") {
+    if (!PRODUCT_STATUSES.includes(status)) {
+      throw new ValidationError(`Invalid status for ${sku}: ${status}`);
+    }
+    return status;
+  }
+
+  /**
+   * Find the product a product or variant SKU belongs to
+   * @param {string} sku - Product or variant SKU
+   * @returns {Object|null} { product, variant } (variant is null for a
+   *   product SKU), or null if the SKU doesn't exist
+   */
+  findSku(sku) {
+    for (const product of this.products.values()) {
+      if (product.sku === sku) {
+        return { product, variant: null };
+      }
+      const variant = product.variants.find((other) => other.sku === sku);
+      if (variant) {
+        return { product, variant };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Get the SKUs of a product that can be ordered: its variants, or the
+   * product itself if it has none
+   * @param {Object} product - Product
+   * @returns {Object[]} Array of { sku, productSku, name, category, price,
+   *   status, attributes }
+   */
+  getSellables(product) {
+    if (product.variants.length === 0) {
+      return [
+        {
+          sku: product.sku,
+          productSku: product.sku,
+          name: product.name,
+          category: product.category,
+          price: product.price,
+          status: product.status,
+          attributes: {},
+        },
+      ];
+    }
+    return product.variants.map((variant) => ({
+      sku: variant.sku,
+      productSku: product.sku,
+      name: `${product.name} (${Object.values(variant.attributes).join(", ")})`,
+      category: product.category,
+      price: variant.price,
+      // A discontinued product discontinues all its variants
+      status:
+        product.status === "discontinued" ? "discontinued" : variant.status,
+      attributes: variant.attributes,
+    }));
+  }
+
+  /**
+   * Get an orderable SKU
+   * @param {string} sku - Product (without variants) or variant SKU
+   * @returns {Object|undefined} Sellable (see getSellables) or undefined
+   */
+  getSellable(sku) {
+    const found = this.findSku(sku);
+    if (!found) return undefined;
+    return this.getSellables(found.product).find(
+      (sellable) => sellable.sku === sku
+    );
+  }
+
+  /**
+   * Get the SKU an order line refers to, checking it can be ordered.
+   * Lines may name a product without variants instead of its SKU.
+   * @param {string} reference - SKU, or product name
+   * @returns {Object} Sellable (see getSellables)
+   * @throws {ValidationError} If the SKU doesn't exist, needs a variant
+   *   chosen or is discontinued
+   */
+  getOrderable(reference) {
+    let found = this.findSku(reference);
+    if (!found) {
+      const product = Array.from(this.products.values()).find(
+        (other) => other.name === reference
+      );
+      found = product && { product, variant: null };
+    }
+    if (!found) {
+      throw new ValidationError(`Unknown SKU: ${reference}`);
+    }
+
+    const { product, variant } = found;
+    if (!variant && product.variants.length > 0) {
+      throw new ValidationError(
+        `${product.name} comes in variants, order one of: ${product.variants
+          .map((other) => other.sku)
+          .join(", ")}`
+      );
+    }
+    const sellable = this.getSellable(variant ? variant.sku : product.sku);
+    if (sellable.status !== "active") {
+      throw new ValidationError(`${sellable.name} is no longer available`);
+    }
+    return sellable;
+  }
+
+  /**
+   * Get a product by its SKU
+   * @param {string} sku - Product SKU
+   * @returns {Object|undefined} Product or undefined
+   */
+  getProduct(sku) {
+    return this.products.get(sku);
+  }
+
+  /**
+   * Get catalog products, optionally filtered
+   * @param {Object} [filters] - { category, status }
+   * @returns {Object[]} Array of matching products
+   */
+  getProducts(filters = {}) {
+    return Array.from(this.products.values()).filter(
+      (product) =>
+        (!filters.category || product.category === filters.category) &&
+        (!filters.status || product.status === filters.status)
+    );
+  }
+}
+
+module.exports = CatalogService;
@@ -1,78 +1,506 @@
+const { getOrderLines } = require("./orderLines");
+const { formatMoney } = require("./money");
+const { render } = require("./templateEngine");
+const { getAddress } = require("./mimeMessage");
+const { DEFAULT_TEMPLATES, SAMPLE_ORDER } = require("./emailTemplates");
+const { ValidationError, NotFoundError } = require("./errors");
+const InMemoryRepository = require("./InMemoryRepository");
+const MemoryTransport = require("./MemoryTransport");
+const SystemClock = require("./SystemClock");
+
+const EMAIL_RETRY_POLICY = { attempts: 3, delay: 200, factor: 2 };
+const DELIVERY_RETRY_POLICY = { attempts: 5, delay: 1000, factor: 2 };
+const DELIVERY_STATUSES = ["queued", "sent", "failed", "bounced"];
+// Statuses that get an email when EmailService listens for events itself
+const NOTIFIABLE_STATUSES = ["cancelled", "delivered", "failed", "returned"];
+
 /**
- * EmailService - Handles email notifications for orders
+ * EmailService - Handles email notifications for orders. Emails are
+ * rendered from templates per email type and locale (see emailTemplates),
+ * with plain-text and HTML parts.
+ *
+ * Rendered emails go into an outbox and are delivered through a transport
+ * (MemoryTransport, FileTransport or SmtpTransport). Each email records its
+ * delivery: { status, attempts, error, response, sentAt }, where status is
+ * "queued", "sent", "failed" (retries ran out) or "bounced" (rejected for
+ * good).
+ *
+ * EmailService is also the "email" channel of NotificationService, which
+ * then decides what to send (see notify()).
  */
 class EmailService {
-  constructor(eventBus) {
+  /**
+   * @param {EventBus} eventBus - Event bus
+   * @param {Object} [repositories] - Storage for { emails } (default: in-memory)
+   * @param {Object} [options] - Template options
+   * @param {Object} [options.templates] - Templates by type and locale
+   *   ({ [type]: { [locale]: { subject, text, html } } }), added to or
+   *   replacing the defaults
+   * @param {string} [options.defaultLocale] - Locale used when an order has
+   *   none or there's no template for its locale (default: "en")
+   * @param {Object} [options.transport] - Delivers emails (default:
+   *   MemoryTransport)
+   * @param {string} [options.from] - Sender mailbox (default:
+   *   "orders@example.com")
+   * @param {Object} [options.retry] - Retry policy for transient delivery
+   *   failures: { attempts, delay, factor } (default: 5 attempts, 1s
+   *   doubling)
+   * @param {boolean} [options.listen] - Email customers about order events
+   *   directly (default: true). Turn off when a NotificationService uses
+   *   this as its email channel.
+   * @param {Object} [options.clock] - Clock for timestamps and delivery
+   *   retries (default: a SystemClock)
+   */
+  constructor(eventBus, repositories = {}, options = {}) {
     this.eventBus = eventBus;
-    this.sentEmails = [];
+    this.clock = options.clock || new SystemClock();
+    this.name = "email";
+    this.emails = repositories.emails || new InMemoryRepository();
+    this.defaultLocale = options.defaultLocale || "en";
+    this.transport = options.transport || new MemoryTransport();
+    this.from = options.from || "orders@example.com";
+    this.retry = { ...DELIVERY_RETRY_POLICY, ...options.retry };
+    this.deliveries = new Map(); // emailId -> pending delivery promise
+    this.templates = {};
+    [DEFAULT_TEMPLATES, options.templates || {}].forEach((templates) => {
+      Object.entries(templates).forEach(([type, locales]) => {
+        this.templates[type] = { ...this.templates[type], ...locales };
+      });
+    });
 
     // Bind methods to preserve 'this' context
     this.sendConfirmation = this.sendConfirmation.bind(this);
     this.sendShippingNotification = this.sendShippingNotification.bind(this);
     this.sendStatusUpdate = this.sendStatusUpdate.bind(this);
+    this.sendReturnInstructions = this.sendReturnInstructions.bind(this);
+    this.sendReturnReceived = this.sendReturnReceived.bind(this);
+
+    // Register event listeners - failed sends are retried with backoff
+    // and end up in the EventBus dead-letter store if they keep failing
+    if (options.listen !== false) {
+      this.eventBus.on("order:created", this.sendConfirmation, {
+        name: "EmailService.sendConfirmation",
+        retry: EMAIL_RETRY_POLICY,
+      });
+      this.eventBus.on("order:shipped", this.sendShippingNotification, {
+        name: "EmailService.sendShippingNotification",
+        retry: EMAIL_RETRY_POLICY,
+      });
+      this.eventBus.on("order:status_updated", this.sendStatusUpdate, {
+        name: "EmailService.sendStatusUpdate",
+        retry: EMAIL_RETRY_POLICY,
+        filter: (data) => NOTIFIABLE_STATUSES.includes(data.status),
+      });
+      this.eventBus.on("return:shipment_created", this.sendReturnInstructions, {
+        name: "EmailService.sendReturnInstructions",
+        retry: EMAIL_RETRY_POLICY,
+      });
+      this.eventBus.on("return:received", this.sendReturnReceived, {
+        name: "EmailService.sendReturnReceived",
+        retry: EMAIL_RETRY_POLICY,
+      });
+    }
+
+    // Rebuild the email history and outbox from the event log without
+    // resending; every email event carries a snapshot of the email
+    DELIVERY_STATUSES.forEach((status) => {
+      this.eventBus.onReplay(`email:${status}`, (emailData) => {
+        this.emails.set(emailData.emailId, emailData);
+      });
+    });
+  }
+
+  /**
+   * All emails, oldest first, whatever their delivery status
+   * @returns {Object[]} Array of emails
+   */
+  get sentEmails() {
+    return Array.from(this.emails.values());
+  }
+
+  /**
+   * Queue an email in the outbox, publish it so it lands in the event log,
+   * and start delivering it
+   * @param {Object} emailData - Rendered email
+   */
+  recordEmail(emailData) {
+    emailData.emailId = `EML${this.emails.size + 1}`;
+    emailData.from = this.from;
+    emailData.messageId = `${emailData.emailId}.${this.clock.now().getTime()}@${
+      getAddress(this.from).split("@")[1] || "localhost"
+    }`;
+    emailData.delivery = { status: "queued", attempts: 0 };
+    this.emails.set(emailData.emailId, emailData);
+    this.eventBus.emit("email:queued", { ...emailData });
+    this.deliver(emailData.emailId);
+  }
+
+  /**
+   * Deliver a queued email, retrying transient failures with backoff.
+   * Only one delivery per email runs at a time.
+   * @param {string} emailId - Email ID
+   * @returns {Promise<Object>} The email once it's sent, failed or bounced
+   */
+  deliver(emailId) {
+    if (!this.deliveries.has(emailId)) {
+      const delivery = this.attemptDelivery(emailId).finally(() => {
+        this.deliveries.delete(emailId);
+      });
+      this.deliveries.set(emailId, delivery);
+    }
+    return this.deliveries.get(emailId);
+  }
+
+  /**
+   * Send an email through the transport until it's sent, bounces or runs
+   * out of attempts
+   * @param {string} emailId - Email ID
+   * @returns {Promise<Object>} The email
+   */
+  async attemptDelivery(emailId) {
+    const email = this.emails.get(emailId);
+    const message = {
+      messageId: email.messageId,
+      from: email.from,
+      to: email.to,
+      subject: email.subject,
+      text: email.body,
+      html: email.html,
+      date: email.timestamp,
+    };
+
+    for (;;) {
+      const attempts = email.delivery.attempts + 1;
+      try {
+        const result = await this.transport.send(message);
+        return this.updateDelivery(email, "sent", {
+          attempts,
+          error: null,
+          response: result && result.response,
+          sentAt: this.clock.now().toISOString(),
+        });
+      } catch (error) {
+        if (error.permanent || attempts >= this.retry.attempts) {
+          return this.updateDelivery(
+            email,
+            error.permanent ? "bounced" : "failed",
+            { attempts, error: error.message }
+          );
+        }
+        this.updateDelivery(email, "queued", {
+          attempts,
+          error: error.message,
+        });
+        const delay =
+          this.retry.delay * Math.pow(this.retry.factor, attempts - 1);
+        await new Promise((resolve) =>
+          this.clock.schedule(resolve, delay, {
+            name: `retry-email:${emailId}`,
+          })
+        );
+      }
+    }
+  }
+
+  /**
+   * Record a delivery attempt. Final outcomes are published as
+   * email:sent, email:failed or email:bounced.
+   * @param {Object} email - Email
+   * @param {string} status - Delivery status
+   * @param {Object} changes - Delivery fields to update
+   * @returns {Object} The email
+   */
+  updateDelivery(email, status, changes) {
+    email.delivery = { ...email.delivery, ...changes, status };
+    this.emails.set(email.emailId, email);
+    if (status !== "queued") {
+      console.log(`[EmailService] Email ${email.emailId} ${status}`);
+      this.eventBus.emit(`email:${status}`, { ...email });
+    }
+    return email;
+  }
+
+  /**
+   * Resume delivering queued emails, e.g. after a restart
+   * @returns {Promise<Object[]>} The emails once each is sent, failed or
+   *   bounced
+   */
+  processOutbox() {
+    return Promise.all(
+      this.getOutbox().map((email) => this.deliver(email.emailId))
+    );
+  }
+
+  /**
+   * Wait until no deliveries are in progress
+   * @returns {Promise<void>} Resolves once every email has been sent,
+   *   failed or bounced
+   */
+  async flushOutbox() {
+    while (this.deliveries.size > 0) {
+      await Promise.all(this.deliveries.values());
+    }
+  }
+
+  /**
+   * Add or replace the template for an email type and locale
+   * @param {string} type - Email type (e.g. "confirmation")
+   * @param {string} locale - Locale (e.g. "en", "es" or "es-MX")
+   * @param {Object} template - { subject, text, html } template sources
+   * @throws {ValidationError} If the subject or text part is missing
+   */
+  registerTemplate(type, locale, template) {
+    if (!template || !template.subject || !template.text) {
+      throw new ValidationError(
+        `Template ${type}/${locale} needs a subject and a text part`
+      );
+    }
+    this.templates[type] = { ...this.templates[type], [locale]: template };
+  }
+
+  /**
+   * Find the template for an email type, falling back from the locale
+   * (e.g. "es-MX") to its language ("es") and then the default locale
+   * @param {string} type - Email type
+   * @param {string} [locale] - Preferred locale
+   * @returns {Object|null} { locale, template }, or null for unknown types
+   */
+  getTemplate(type, locale) {
+    // Own properties only, so names like "constructor" or "__proto__"
+    // don't resolve to Object.prototype members
+    const has = (object, key) =>
+      Object.prototype.hasOwnProperty.call(object, key);
+    if (!has(this.templates, type)) return null;
+    const templates = this.templates[type];
 
-    // Register event listeners
-    this.eventBus.on("order:created", this.sendConfirmation);
-    this.eventBus.on("order:shipped", this.sendShippingNotification);
-    this.eventBus.on("order:status_updated", this.sendStatusUpdate);
+    const candidates = locale
+      ? [locale, locale.split("-")[0], this.defaultLocale]
+      : [this.defaultLocale];
+    const match = candidates.find((candidate) => has(templates, candidate));
+    if (!match) return null;
+    return { locale: match, template: templates[match] };
+  }
+
+  /**
+   * Render an email from its template
+   * @param {string} type - Email type
+   * @param {Object} data - Order, shipment or return data; its `locale`
+   *   picks the template
+   * @returns {Object} { locale, subject, body, html }, where body is the
+   *   plain-text part
+   * @throws {NotFoundError} If there's no template for the type
+   */
+  renderEmail(type, data) {
+    const found = this.getTemplate(type, data.locale);
+    if (!found) {
+      throw new NotFoundError(
+        `No email template for ${type}`,
+        "TEMPLATE_NOT_FOUND"
+      );
+    }
+
+    const { locale, template } = found;
+    const view = this.buildView(data, locale);
+    return {
+      locale,
+      subject: render(template.subject, view),
+      body: render(template.text, view),
+      html: template.html ? render(template.html, view, { html: true }) : null,
+    };
+  }
+
+  /**
+   * Prepare data for a template: lines get a display name and money is
+   * formatted for the locale
+   * @param {Object} data - Order, shipment or return data
+   * @param {string} locale - Template locale
+   * @returns {Object} Template values
+   */
+  buildView(data, locale) {
+    const currency = data.pricing ? data.pricing.currency : undefined;
+    const money = (cents) => formatMoney(cents, currency, locale);
+    const view = {
+      ...data,
+      lines: getOrderLines(data).map((line) => ({
+        quantity: line.quantity,
+        name: line.name || line.item,
+      })),
+      pricing: data.pricing && {
+        subtotal: money(data.pricing.subtotal),
+        couponCode: data.pricing.couponCode,
+        discount:
+          data.pricing.discount > 0 ? money(data.pricing.discount) : null,
+        taxRegion: data.pricing.taxRegion,
+        taxPercent: data.pricing.taxRate / 100,
+        tax: money(data.pricing.tax),
+        shipping: money(data.pricing.shipping),
+        total: money(data.pricing.total),
+      },
+    };
+    if (typeof data.refundAmount === "number") {
+      view.refundAmount = money(data.refundAmount);
+    }
+    return view;
+  }
+
+  /**
+   * Render a template against sample order data, without sending anything
+   * @param {string} type - Email type
+   * @param {Object} [options] - { locale, data }, where data overrides
+   *   fields of the sample order
+   * @returns {Object} { type, locale, subject, text, html }
+   * @throws {NotFoundError} If there's no template for the type
+   */
+  previewTemplate(type, options = {}) {
+    const email = this.renderEmail(type, {
+      ...SAMPLE_ORDER,
+      ...options.data,
+      locale: options.locale,
+    });
+    return {
+      type,
+      locale: email.locale,
+      subject: email.subject,
+      text: email.body,
+      html: email.html,
+    };
+  }
+
+  /**
+   * Email a notification (the channel interface of NotificationService)
+   * @param {Object} notification - { type, data, unsubscribeUrl }, where
+   *   type is an email type and data the order event it's about
+   * @returns {Object} { reference } - the email ID
+   * @throws {NotFoundError} If there's no email for the type
+   */
+  notify(notification) {
+    const send = {
+      confirmation: this.sendConfirmation,
+      shipping: this.sendShippingNotification,
+      status_update: this.sendStatusUpdate,
+      return_requested: this.sendReturnInstructions,
+      return_received: this.sendReturnReceived,
+    }[notification.type];
+    if (!send) {
+      throw new NotFoundError(
+        `No email for ${notification.type} notifications`,
+        "TEMPLATE_NOT_FOUND"
+      );
+    }
+    const data = { ...notification.data };
+    if (notification.unsubscribeUrl) {
+      data.unsubscribeUrl = notification.unsubscribeUrl;
+    }
+    return { reference: send(data).emailId };
   }
 
   /**
    * Send order confirmation email
    * @param {Object} orderData - Order information
+   * @returns {Object} The queued email
    */
   sendConfirmation(orderData) {
     const emailData = {
       type: "confirmation",
       to: orderData.email,
-      subject: `Order Confirmation - ${orderData.orderId}`,
-      body: `Thank you for your order of ${orderData.item}. We'll process it shortly.`,
-      timestamp: new Date().toISOString(),
+      ...this.renderEmail("confirmation", orderData),
+      lines: getOrderLines(orderData),
+      pricing: orderData.pricing,
+      timestamp: this.clock.now().toISOString(),
       orderId: orderData.orderId,
     };
 
-    this.sentEmails.push(emailData);
-    console.log(`[EmailService] Confirmation sent:`, emailData);
+    this.recordEmail(emailData);
+    console.log(`[EmailService] Confirmation queued:`, emailData);
+    return emailData;
   }
 
   /**
    * Send shipping notification email
    * @param {Object} orderData - Order and shipping information
+   * @returns {Object} The queued email
    */
   sendShippingNotification(orderData) {
     const emailData = {
       type: "shipping",
       to: orderData.email,
-      subject: `Your order ${orderData.orderId} has shipped!`,
-      body: `Your ${orderData.item} is on its way to ${orderData.address}. Tracking: ${orderData.trackingNumber}`,
-      timestamp: new Date().toISOString(),
+      ...this.renderEmail("shipping", orderData),
+      lines: getOrderLines(orderData),
+      timestamp: this.clock.now().toISOString(),
       orderId: orderData.orderId,
       trackingNumber: orderData.trackingNumber,
     };
 
-    this.sentEmails.push(emailData);
-    console.log(`[EmailService] Shipping notification sent:`, emailData);
+    this.recordEmail(emailData);
+    console.log(`[EmailService] Shipping notification queued:`, emailData);
+    return emailData;
   }
 
   /**
    * Send status update email
    * @param {Object} data - Status update information
+   * @returns {Object} The queued email
    */
   sendStatusUpdate(data) {
-    if (data.status === "cancelled" || data.status === "delivered") {
-      const emailData = {
-        type: "status_update",
-        to: data.order.email,
-        subject: `Order ${data.orderId} ${data.status}`,
-        body: `Your order status has been updated to: ${data.status}`,
-        timestamp: new Date().toISOString(),
+    const emailData = {
+      type: "status_update",
+      to: data.order.email,
+      ...this.renderEmail("status_update", {
         orderId: data.orderId,
         status: data.status,
-      };
+        reason: data.reason,
+        locale: data.order.locale,
+      }),
+      timestamp: this.clock.now().toISOString(),
+      orderId: data.orderId,
+      status: data.status,
+    };
 
-      this.sentEmails.push(emailData);
-      console.log(`[EmailService] Status update sent:`, emailData);
-    }
+    this.recordEmail(emailData);
+    console.log(`[EmailService] Status update queued:`, emailData);
+    return emailData;
+  }
+
+  /**
+   * Send return instructions once the return shipment is created
+   * @param {Object} rma - Return information with tracking number
+   * @returns {Object} The queued email
+   */
+  sendReturnInstructions(rma) {
+    const emailData = {
+      type: "return_requested",
+      to: rma.email,
+      ...this.renderEmail("return_requested", rma),
+      lines: rma.lines,
+      timestamp: this.clock.now().toISOString(),
+      orderId: rma.orderId,
+      rmaNumber: rma.rmaNumber,
+    };
+
+    this.recordEmail(emailData);
+    console.log(`[EmailService] Return instructions queued:`, emailData);
+    return emailData;
+  }
+
+  /**
+   * Confirm that a return arrived and how much will be refunded
+   * @param {Object} rma - Received return information
+   * @returns {Object} The queued email
+   */
+  sendReturnReceived(rma) {
+    const emailData = {
+      type: "return_received",
+      to: rma.email,
+      ...this.renderEmail("return_received", rma),
+      lines: rma.lines,
+      timestamp: this.clock.now().toISOString(),
+      orderId: rma.orderId,
+      rmaNumber: rma.rmaNumber,
+    };
+
+    this.recordEmail(emailData);
+    console.log(`[EmailService] Return receipt queued:`, emailData);
+    return emailData;
   }
 
   /**
@@ -92,6 +520,29 @@ class EmailService {
     return this.sentEmails.filter((email) => email.type === type);
   }
 
+  /**
+   * Get emails by delivery status
+   * @param {string} status - "queued", "sent", "failed" or "bounced"
+   * @returns {Object[]} Array of emails with that status
+   * @throws {ValidationError} If the status is unknown
+   */
+  getEmailsByStatus(status) {
+    if (!DELIVERY_STATUSES.includes(status)) {
+      throw new ValidationError(`Unknown delivery status: ${status}`);
+    }
+    return this.sentEmails.filter(
+      (email) => email.delivery && email.delivery.status === status
+    );
+  }
+
+  /**
+   * Get emails waiting to be delivered
+   * @returns {Object[]} Array of queued emails
+   */
+  getOutbox() {
+    return this.getEmailsByStatus("queued");
+  }
+
   /**
    * Get emails for a specific order
    * @param {string} orderId - Order ID to filter by
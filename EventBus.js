@@ -1,22 +1,89 @@
+const { isPattern, matchesPattern } = require("./eventPatterns");
+const SystemClock = require("./SystemClock");
+
+// By default a failing listener is not retried
+const DEFAULT_RETRY_POLICY = { attempts: 1, delay: 100, factor: 2 };
+
 /**
  * EventBus - A simple event emitter for loosely coupled communication
  * between services in an event-driven architecture.
  */
 class EventBus {
-  constructor() {
+  /**
+   * @param {Object} [options] - Bus options
+   * @param {string} [options.asyncMode] - Default emitAsync mode: "parallel" or "serial"
+   * @param {number} [options.listenerTimeout] - Default per-listener timeout for emitAsync (ms)
+   * @param {Object} [options.retry] - Default retry policy for listeners (see on())
+   * @param {EventLog} [options.eventLog] - Durable log every emitted event is appended to
+   * @param {Object} [options.clock] - Clock for retries, listener timeouts and
+   *   dead letter timestamps (default: a SystemClock)
+   */
+  constructor(options = {}) {
+    this.clock = options.clock || new SystemClock();
     this.events = {};
+    this.asyncMode = options.asyncMode || "parallel";
+    this.listenerTimeout = options.listenerTimeout || 0;
+    this.retry = { ...DEFAULT_RETRY_POLICY, ...options.retry };
+    this.subscriptionCount = 0; // Tie-breaker keeping registration order
+
+    // Dead letters: deliveries that still failed after every retry
+    this.deadLetters = new Map();
+    this.deadLetterSubscriptions = new Map(); // id -> subscription, for replay
+    this.deadLetterCount = 0;
+
+    // Event sourcing: emitted events are appended to the log, and replay
+    // handlers rebuild service state from it
+    this.eventLog = options.eventLog || null;
+    this.replayHandlers = {};
+    this.replaying = false;
   }
 
   /**
-   * Register an event listener
-   * @param {string} eventName - Name of the event to listen for
+   * Register an event listener. The event name may be a wildcard pattern
+   * ("order:*", "*:failed", "*"); listeners are called with
+   * (payload, eventName) so pattern subscribers know the concrete event.
+   * @param {string} eventName - Name or pattern of the event to listen for
    * @param {function} listener - Callback function to execute
+   * @param {Object} [options] - Subscription options
+   * @param {number} [options.priority] - Higher priorities are called first (default: 0)
+   * @param {function} [options.filter] - Predicate (payload, eventName) deciding whether to call the listener
+   * @param {boolean} [options.once] - Remove the listener after its first call
+   * @param {string} [options.name] - Listener name used in errors and dead letters
+   * @param {Object} [options.retry] - Retry policy when the listener fails
+   * @param {number} [options.retry.attempts] - Maximum attempts, including the first (default: 1)
+   * @param {number} [options.retry.delay] - Delay before the first retry in ms
+   * @param {number} [options.retry.factor] - Backoff multiplier for each further retry
+   * @returns {function} Function that removes this subscription
    */
-  on(eventName, listener) {
+  on(eventName, listener, options = {}) {
     if (!this.events[eventName]) {
       this.events[eventName] = [];
     }
-    this.events[eventName].push(listener);
+
+    const subscription = {
+      eventName,
+      listener,
+      name: options.name || listener.name || "anonymous",
+      priority: options.priority || 0,
+      retry: { ...this.retry, ...options.retry },
+      filter: options.filter,
+      once: options.once || false,
+      order: this.subscriptionCount++,
+    };
+    this.events[eventName].push(subscription);
+
+    return () => this.removeSubscription(subscription);
+  }
+
+  /**
+   * Register a listener that is removed after it is called once
+   * @param {string} eventName - Name or pattern of the event to listen for
+   * @param {function} listener - Callback function to execute
+   * @param {Object} [options] - Subscription options (priority, filter)
+   * @returns {function} Function that removes this subscription
+   */
+  once(eventName, listener, options = {}) {
+    return this.on(eventName, listener, { ...options, once: true });
   }
 
   /**
@@ -27,7 +94,24 @@ class EventBus {
   off(eventName, listener) {
     if (this.events[eventName]) {
       this.events[eventName] = this.events[eventName].filter(
-        (l) => l !== listener
+        (subscription) => subscription.listener !== listener
+      );
+      if (this.events[eventName].length === 0) {
+        delete this.events[eventName];
+      }
+    }
+  }
+
+  /**
+   * Remove a single subscription, leaving other registrations of the
+   * same listener in place
+   * @param {Object} subscription - Subscription to remove
+   */
+  removeSubscription(subscription) {
+    const { eventName } = subscription;
+    if (this.events[eventName]) {
+      this.events[eventName] = this.events[eventName].filter(
+        (s) => s !== subscription
       );
       if (this.events[eventName].length === 0) {
         delete this.events[eventName];
@@ -41,15 +125,423 @@ class EventBus {
    * @param {*} payload - Data to pass to listeners
    */
   emit(eventName, payload) {
-    if (this.events[eventName]) {
-      this.events[eventName].forEach((listener) => {
+    if (!this.record(eventName, payload)) return;
+    this.takeSubscriptions(eventName, payload).forEach((subscription) => {
+      this.deliver(subscription, eventName, payload, 1);
+    });
+  }
+
+  /**
+   * Call a subscription's listener. Failures (thrown errors or rejected
+   * promises) are retried in the background according to the retry
+   * policy, and dead-lettered once every attempt has failed.
+   * @param {Object} subscription - Subscription to call
+   * @param {string} eventName - Concrete event name
+   * @param {*} payload - Event payload
+   * @param {number} attempt - Attempt number, starting at 1
+   */
+  deliver(subscription, eventName, payload, attempt) {
+    const handleError = (error) => {
+      console.error(`Error in event listener for ${eventName}:`, error);
+      if (attempt < subscription.retry.attempts) {
+        this.clock.schedule(
+          () => this.deliver(subscription, eventName, payload, attempt + 1),
+          this.getRetryDelay(subscription.retry, attempt),
+          { name: `retry-listener:${subscription.name}` }
+        );
+      } else {
+        this.addDeadLetter(subscription, eventName, payload, error, attempt);
+      }
+    };
+
+    try {
+      const result = subscription.listener(payload, eventName);
+      // Async listeners aren't awaited here, but their rejections
+      // must not become unhandled rejections
+      if (result && typeof result.then === "function") {
+        result.then(undefined, handleError);
+      }
+    } catch (error) {
+      handleError(error);
+    }
+  }
+
+  /**
+   * Calculate the backoff before a retry
+   * @param {Object} policy - Retry policy
+   * @param {number} attempt - Attempt that just failed, starting at 1
+   * @returns {number} Delay in ms
+   */
+  getRetryDelay(policy, attempt) {
+    return policy.delay * Math.pow(policy.factor, attempt - 1);
+  }
+
+  /**
+   * Get every subscription that should receive an event, including
+   * matching wildcard patterns, ordered by priority (highest first) and
+   * then by registration order
+   * @param {string} eventName - Concrete event name
+   * @returns {Object[]} Array of subscriptions
+   */
+  getSubscriptions(eventName) {
+    return Object.keys(this.events)
+      .filter(
+        (name) =>
+          name === eventName ||
+          (isPattern(name) && matchesPattern(name, eventName))
+      )
+      .reduce(
+        (subscriptions, name) => subscriptions.concat(this.events[name]),
+        []
+      )
+      .sort((a, b) => b.priority - a.priority || a.order - b.order);
+  }
+
+  /**
+   * Get the subscriptions to call for one emit: applies subscription
+   * filters and removes "once" subscriptions before they run, so
+   * re-entrant emits can't call them twice. A filter that throws skips
+   * only its own listener, and is dead-lettered like a failed listener.
+   * @param {string} eventName - Concrete event name
+   * @param {*} payload - Event payload
+   * @param {Object[]} [errors] - Collects { listener, error, attempts }
+   *   for filters that threw
+   * @returns {Object[]} Array of subscriptions
+   */
+  takeSubscriptions(eventName, payload, errors = []) {
+    return this.getSubscriptions(eventName)
+      .filter((subscription) => {
+        if (!subscription.filter) return true;
         try {
-          listener(payload);
+          return subscription.filter(payload, eventName);
         } catch (error) {
-          console.error(`Error in event listener for ${eventName}:`, error);
+          console.error(`Error in event filter for ${eventName}:`, error);
+          this.addDeadLetter(subscription, eventName, payload, error, 1);
+          errors.push({ listener: subscription.name, error, attempts: 1 });
+          return false;
+        }
+      })
+      .map((subscription) => {
+        if (subscription.once) {
+          this.removeSubscription(subscription);
         }
+        return subscription;
       });
+  }
+
+  /**
+   * Emit an event and wait for every listener to finish, including
+   * listeners that return promises and any retries
+   * @param {string} eventName - Name of the event to emit
+   * @param {*} payload - Data to pass to listeners
+   * @param {Object} [options] - Emit options
+   * @param {string} [options.mode] - "parallel" (default) or "serial"
+   * @param {number} [options.timeout] - Per-listener timeout in ms (0 = none)
+   * @returns {Promise<Object>} Result with listener counts and collected errors
+   */
+  async emitAsync(eventName, payload, options = {}) {
+    if (!this.record(eventName, payload)) {
+      return {
+        eventName,
+        listenerCount: 0,
+        succeeded: 0,
+        failed: 0,
+        errors: [],
+        ok: true,
+      };
     }
+
+    const mode = options.mode || this.asyncMode;
+    const timeout =
+      options.timeout === undefined ? this.listenerTimeout : options.timeout;
+    const errors = [];
+    // A snapshot, so listeners that unsubscribe while running don't skip others
+    const subscriptions = this.takeSubscriptions(eventName, payload, errors);
+    const listenerCount = subscriptions.length + errors.length;
+
+    const run = async (subscription) => {
+      try {
+        await this.deliverAsync(subscription, eventName, payload, timeout);
+      } catch (error) {
+        errors.push({
+          listener: subscription.name,
+          error,
+          attempts: error.attempts,
+        });
+      }
+    };
+
+    if (mode === "serial") {
+      for (const subscription of subscriptions) {
+        await run(subscription);
+      }
+    } else {
+      await Promise.all(subscriptions.map(run));
+    }
+
+    return {
+      eventName,
+      listenerCount,
+      succeeded: listenerCount - errors.length,
+      failed: errors.length,
+      errors,
+      ok: errors.length === 0,
+    };
+  }
+
+  /**
+   * Call a subscription's listener, awaiting retries with backoff. Once
+   * every attempt has failed the delivery is dead-lettered and the last
+   * error is rethrown with an `attempts` count.
+   * @param {Object} subscription - Subscription to call
+   * @param {string} eventName - Concrete event name
+   * @param {*} payload - Event payload
+   * @param {number} timeout - Per-attempt timeout in ms (0 = none)
+   * @param {number} [previousAttempts] - Attempts already made (when replaying)
+   * @returns {Promise<*>} Listener result
+   */
+  async deliverAsync(
+    subscription,
+    eventName,
+    payload,
+    timeout,
+    previousAttempts = 0
+  ) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await this.invokeWithTimeout(
+          subscription,
+          eventName,
+          payload,
+          timeout
+        );
+      } catch (thrown) {
+        if (attempt >= subscription.retry.attempts) {
+          const error =
+            thrown instanceof Error ? thrown : new Error(String(thrown));
+          error.attempts = previousAttempts + attempt;
+          this.addDeadLetter(
+            subscription,
+            eventName,
+            payload,
+            error,
+            error.attempts
+          );
+          throw error;
+        }
+        await new Promise((resolve) =>
+          this.clock.schedule(
+            resolve,
+            this.getRetryDelay(subscription.retry, attempt),
+            { name: `retry-listener:${subscription.name}` }
+          )
+        );
+      }
+    }
+  }
+
+  /**
+   * Call a listener and settle once it (or its promise) finishes
+   * @param {Object} subscription - Subscription to call
+   * @param {string} eventName - Concrete event name
+   * @param {*} payload - Data to pass to the listener
+   * @param {number} timeout - Timeout in ms (0 = none)
+   * @returns {Promise<*>} Listener result
+   */
+  invokeWithTimeout(subscription, eventName, payload, timeout) {
+    const result = new Promise((resolve) =>
+      resolve(subscription.listener(payload, eventName))
+    );
+    if (!timeout) {
+      return result;
+    }
+
+    const { name } = subscription;
+    let jobId;
+    const timedOut = new Promise((resolve, reject) => {
+      jobId = this.clock.schedule(
+        () =>
+          reject(new Error(`Listener ${name} timed out after ${timeout}ms`)),
+        timeout,
+        { name: `listener-timeout:${name}` }
+      );
+    });
+    return Promise.race([result, timedOut]).finally(() =>
+      this.clock.cancel(jobId)
+    );
+  }
+
+  /**
+   * Append an emitted event to the event log, if one is configured
+   * @param {string} eventName - Name of the event
+   * @param {*} payload - Event payload
+   * @returns {boolean} False while replaying, when the event must not be
+   *   dispatched because the log already holds everything it caused
+   */
+  record(eventName, payload) {
+    if (this.replaying) {
+      return false;
+    }
+    if (this.eventLog) {
+      this.eventLog.append(eventName, payload);
+    }
+    return true;
+  }
+
+  /**
+   * Register a replay handler that rebuilds state from a logged event.
+   * Replay handlers only run during replay(), never for live events, and
+   * must not cause side effects such as sending emails or starting timers.
+   * @param {string} eventName - Name of the event to apply
+   * @param {function} handler - Called with (payload, record)
+   */
+  onReplay(eventName, handler) {
+    if (!this.replayHandlers[eventName]) {
+      this.replayHandlers[eventName] = [];
+    }
+    this.replayHandlers[eventName].push(handler);
+  }
+
+  /**
+   * Rebuild state by applying logged events to the replay handlers, in
+   * sequence order. Any emit() made while replaying is dropped.
+   * @param {Object[]} [records] - Records to replay (default: the whole event log)
+   * @returns {number} Number of records replayed
+   */
+  replay(records) {
+    const toReplay = records || (this.eventLog ? this.eventLog.readAll() : []);
+
+    this.replaying = true;
+    try {
+      toReplay.forEach((record) => {
+        (this.replayHandlers[record.eventName] || []).forEach((handler) => {
+          try {
+            handler(record.payload, record);
+          } catch (error) {
+            console.error(
+              `Error replaying ${record.eventName} #${record.sequence}:`,
+              error
+            );
+          }
+        });
+      });
+    } finally {
+      this.replaying = false;
+    }
+    return toReplay.length;
+  }
+
+  /**
+   * Record a delivery that failed on every attempt
+   * @param {Object} subscription - Failing subscription
+   * @param {string} eventName - Concrete event name
+   * @param {*} payload - Event payload
+   * @param {Error} error - Last error
+   * @param {number} attempts - Number of attempts made
+   * @returns {Object} Dead letter entry
+   */
+  addDeadLetter(subscription, eventName, payload, error, attempts) {
+    const deadLetter = {
+      id: `DL${++this.deadLetterCount}`,
+      eventName,
+      payload,
+      listener: subscription.name,
+      error: error && error.message ? error.message : String(error),
+      attempts,
+      failedAt: this.clock.now().toISOString(),
+    };
+    this.deadLetters.set(deadLetter.id, deadLetter);
+    this.deadLetterSubscriptions.set(deadLetter.id, subscription);
+    return deadLetter;
+  }
+
+  /**
+   * Get dead letters, optionally filtered by event name or listener name
+   * @param {Object} [filter] - { eventName, listener }
+   * @returns {Object[]} Array of dead letters, oldest first
+   */
+  getDeadLetters(filter = {}) {
+    return Array.from(this.deadLetters.values()).filter(
+      (deadLetter) =>
+        (!filter.eventName || deadLetter.eventName === filter.eventName) &&
+        (!filter.listener || deadLetter.listener === filter.listener)
+    );
+  }
+
+  /**
+   * Deliver a dead letter to its listener again. On success it is removed
+   * from the dead-letter store; on failure it is replaced by a new dead
+   * letter carrying the accumulated attempt count. The subscription's
+   * filter is checked again first; if it no longer matches, there is
+   * nothing to deliver.
+   * @param {string} id - Dead letter ID
+   * @returns {Promise<boolean>} True if the replay succeeded
+   */
+  async replayDeadLetter(id) {
+    const deadLetter = this.deadLetters.get(id);
+    if (!deadLetter) {
+      return false;
+    }
+    const subscription = this.deadLetterSubscriptions.get(id);
+    this.deadLetters.delete(id);
+    this.deadLetterSubscriptions.delete(id);
+
+    const { eventName, payload } = deadLetter;
+    if (subscription.filter) {
+      let matches;
+      try {
+        matches = subscription.filter(payload, eventName);
+      } catch (error) {
+        const attempts = deadLetter.attempts + 1;
+        this.addDeadLetter(subscription, eventName, payload, error, attempts);
+        return false;
+      }
+      if (!matches) return true;
+    }
+
+    try {
+      await this.deliverAsync(
+        subscription,
+        eventName,
+        payload,
+        this.listenerTimeout,
+        deadLetter.attempts
+      );
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Replay every dead letter matching a filter
+   * @param {Object} [filter] - { eventName, listener }
+   * @returns {Promise<Object>} Counts of { replayed, failed }
+   */
+  async replayDeadLetters(filter = {}) {
+    const summary = { replayed: 0, failed: 0 };
+    for (const deadLetter of this.getDeadLetters(filter)) {
+      if (await this.replayDeadLetter(deadLetter.id)) {
+        summary.replayed++;
+      } else {
+        summary.failed++;
+      }
+    }
+    return summary;
+  }
+
+  /**
+   * Remove dead letters matching a filter (all when no filter is given)
+   * @param {Object} [filter] - { eventName, listener }
+   * @returns {number} Number of dead letters removed
+   */
+  purgeDeadLetters(filter = {}) {
+    const deadLetters = this.getDeadLetters(filter);
+    deadLetters.forEach((deadLetter) => {
+      this.deadLetters.delete(deadLetter.id);
+      this.deadLetterSubscriptions.delete(deadLetter.id);
+    });
+    return deadLetters.length;
   }
 
   /**
@@ -61,16 +553,27 @@ class EventBus {
   }
 
   /**
-   * Get detailed event information for debugging
+   * Get detailed event information for debugging. Pattern subscriptions
+   * are flagged with `pattern: true`, and exact events list the patterns
+   * that also receive them.
    * @returns {Object} Event details with listener counts
    */
   getEventDetails() {
+    const patterns = Object.keys(this.events).filter(isPattern);
     return Object.entries(this.events).reduce(
-      (details, [eventName, listeners]) => {
+      (details, [eventName, subscriptions]) => {
+        const pattern = isPattern(eventName);
         details[eventName] = {
-          listenerCount: listeners.length,
-          listeners: listeners.map((l) => l.name || "anonymous"),
+          listenerCount: subscriptions.length,
+          listeners: subscriptions.map((s) => s.name),
+          priorities: subscriptions.map((s) => s.priority),
+          pattern,
         };
+        if (!pattern) {
+          details[eventName].matchingPatterns = patterns.filter((p) =>
+            matchesPattern(p, eventName)
+          );
+        }
         return details;
       },
       {}
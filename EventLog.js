@@ -0,0 +1,97 @@
+const fs = require("fs");
+const path = require("path");
+const SystemClock = require("./SystemClock");
+
+/**
+ * EventLog - Durable append-only log of events, stored as JSON Lines
+ * (one { sequence, timestamp, eventName, payload } record per line)
+ */
+class EventLog {
+  /**
+   * @param {string} filePath - Path of the JSON Lines file
+   * @param {Object} [options] - { clock } for record timestamps (default: a
+   *   SystemClock)
+   */
+  constructor(filePath, options = {}) {
+    this.filePath = filePath;
+    this.clock = options.clock || new SystemClock();
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    this.repairTail();
+
+    // Continue numbering after the last record already in the log
+    const records = this.readAll();
+    this.sequence = records.length ? records[records.length - 1].sequence : 0;
+  }
+
+  /**
+   * Make sure the log ends with a newline, so the next append starts a
+   * new line. A truncated last line (e.g. from a crash mid-write) is cut
+   * off; a complete record missing only its newline gets one.
+   */
+  repairTail() {
+    if (!fs.existsSync(this.filePath)) return;
+
+    const content = fs.readFileSync(this.filePath, "utf8");
+    if (content === "" || content.endsWith("\n")) return;
+
+    const complete = content.slice(0, content.lastIndexOf("\n") + 1);
+    try {
+      JSON.parse(content.slice(complete.length));
+      fs.appendFileSync(this.filePath, "\n");
+    } catch (error) {
+      fs.truncateSync(this.filePath, Buffer.byteLength(complete));
+    }
+  }
+
+  /**
+   * Append an event to the log
+   * @param {string} eventName - Name of the event
+   * @param {*} payload - Event payload (must be JSON serializable)
+   * @returns {Object} The stored record
+   */
+  append(eventName, payload) {
+    const record = {
+      sequence: this.sequence + 1,
+      timestamp: this.clock.now().toISOString(),
+      eventName,
+      payload,
+    };
+    // Serialize before bumping the sequence so a bad payload doesn't
+    // leave a gap in the numbering
+    const line = JSON.stringify(record) + "\n";
+    fs.appendFileSync(this.filePath, line);
+    this.sequence = record.sequence;
+    return record;
+  }
+
+  /**
+   * Read every record in the log, oldest first. A truncated last line
+   * (e.g. from a crash mid-write) is ignored.
+   * @returns {Object[]} Array of records
+   */
+  readAll() {
+    if (!fs.existsSync(this.filePath)) {
+      return [];
+    }
+
+    const lines = fs
+      .readFileSync(this.filePath, "utf8")
+      .split("\n")
+      .filter((line) => line.trim() !== "");
+
+    return lines.reduce((records, line, index) => {
+      try {
+        records.push(JSON.parse(line));
+      } catch (error) {
+        if (index !== lines.length - 1) {
+          throw new Error(
+            `Corrupt event log ${this.filePath} at line ${index + 1}`
+          );
+        }
+      }
+      return records;
+    }, []);
+  }
+}
+
+module.exports = EventLog;
@@ -0,0 +1,163 @@
+const { matchesPattern } = require("./eventPatterns");
+
+// Higher than any service subscription (the saga uses 100)
+const STREAM_PRIORITY = 1000;
+
+/**
+ * EventStream - Bridges EventBus events to HTTP clients as Server-Sent
+ * Events. Recent events are kept in a bounded buffer so clients that
+ * reconnect with a Last-Event-ID can pick up where they left off.
+ */
+class EventStream {
+  /**
+   * @param {EventBus} eventBus - Event bus to stream
+   * @param {Object} [options] - Stream options
+   * @param {number} [options.bufferSize] - Recent events kept for resume (default: 100)
+   * @param {number} [options.heartbeatInterval] - Heartbeat period in ms (default: 15000)
+   */
+  constructor(eventBus, options = {}) {
+    this.eventBus = eventBus;
+    this.bufferSize = options.bufferSize || 100;
+    this.heartbeatInterval = options.heartbeatInterval || 15000;
+    this.buffer = []; // Oldest first, at most bufferSize entries
+    this.lastId = 0;
+    this.clients = new Set();
+    this.heartbeatTimer = null;
+
+    this.handleEvent = this.handleEvent.bind(this);
+    // Listeners emit follow-up events synchronously, so run first to
+    // see (and number) events in the order they were emitted
+    this.unsubscribe = this.eventBus.on("*", this.handleEvent, {
+      name: "EventStream",
+      priority: STREAM_PRIORITY,
+    });
+  }
+
+  /**
+   * Buffer an event and send it to every client whose filters match
+   * @param {*} payload - Event payload
+   * @param {string} eventName - Event name
+   */
+  handleEvent(payload, eventName) {
+    const entry = { id: ++this.lastId, eventName, payload };
+    this.buffer.push(entry);
+    if (this.buffer.length > this.bufferSize) {
+      this.buffer.shift();
+    }
+
+    this.clients.forEach((client) => {
+      if (this.matches(client, entry)) {
+        this.send(client.res, entry);
+      }
+    });
+  }
+
+  /**
+   * Start streaming to a client. Buffered events after lastEventId are
+   * sent first; if the client is further behind than the buffer reaches,
+   * it gets everything still buffered.
+   * @param {http.IncomingMessage} req - Request (used to detect disconnects)
+   * @param {http.ServerResponse} res - Response to stream to
+   * @param {Object} [filters] - Client filters
+   * @param {string} [filters.pattern] - Event name or pattern (e.g. "order:*")
+   * @param {string} [filters.orderId] - Only events whose payload has this orderId
+   * @param {number} [filters.lastEventId] - Resume after this event ID
+   */
+  connect(req, res, filters = {}) {
+    const client = {
+      res,
+      pattern: filters.pattern || "*",
+      orderId: filters.orderId,
+    };
+
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+    });
+    res.write(": connected\n\n");
+
+    if (filters.lastEventId !== undefined) {
+      this.buffer
+        .filter((entry) => entry.id > filters.lastEventId)
+        .filter((entry) => this.matches(client, entry))
+        .forEach((entry) => this.send(res, entry));
+    }
+
+    this.clients.add(client);
+    this.startHeartbeat();
+    req.on("close", () => this.disconnect(client));
+  }
+
+  /**
+   * Stop streaming to a client
+   * @param {Object} client - Connected client
+   */
+  disconnect(client) {
+    this.clients.delete(client);
+    if (this.clients.size === 0) {
+      this.stopHeartbeat();
+    }
+  }
+
+  /**
+   * Check whether an event passes a client's filters
+   * @param {Object} client - Connected client
+   * @param {Object} entry - Buffered event
+   * @returns {boolean} True if the client should receive the event
+   */
+  matches(client, entry) {
+    if (!matchesPattern(client.pattern, entry.eventName)) {
+      return false;
+    }
+    if (client.orderId) {
+      return Boolean(entry.payload) && entry.payload.orderId === client.orderId;
+    }
+    return true;
+  }
+
+  /**
+   * Write one event in SSE format
+   * @param {http.ServerResponse} res - Client response
+   * @param {Object} entry - Buffered event
+   */
+  send(res, entry) {
+    res.write(
+      `id: ${entry.id}\nevent: ${entry.eventName}\ndata: ${JSON.stringify(
+        entry.payload === undefined ? null : entry.payload
+      )}\n\n`
+    );
+  }
+
+  /**
+   * Send heartbeat comments while clients are connected, so proxies
+   * don't close idle connections
+   */
+  startHeartbeat() {
+    if (this.heartbeatTimer) return;
+    this.heartbeatTimer = setInterval(() => {
+      this.clients.forEach((client) => client.res.write(": heartbeat\n\n"));
+    }, this.heartbeatInterval);
+    this.heartbeatTimer.unref();
+  }
+
+  /**
+   * Stop the heartbeat timer
+   */
+  stopHeartbeat() {
+    clearInterval(this.heartbeatTimer);
+    this.heartbeatTimer = null;
+  }
+
+  /**
+   * Disconnect every client and stop listening to the event bus
+   */
+  close() {
+    this.clients.forEach((client) => client.res.end());
+    this.clients.clear();
+    this.stopHeartbeat();
+    this.unsubscribe();
+  }
+}
+
+module.exports = EventStream;
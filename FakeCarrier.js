@@ -0,0 +1,128 @@
+const crypto = require("crypto");
+const { ValidationError } = require("./errors");
+const SystemClock = require("./SystemClock");
+
+/**
+ * FakeCarrier - In-memory shipping carrier for demos and tests. Quotes
+ * rates from a fixed table, issues labels with the carrier's own tracking
+ * number format and tracks the labels it issued.
+ *
+ * Any carrier passed to ShippingService must implement the same interface:
+ * - code - unique carrier code, e.g. "SPEEDY"
+ * - getRates({ origins, address, quantity }) → Promise<[{ service, level, cost, transitDays }]>
+ * - createLabel({ orderId, rmaNumber, service, origins, address, lines }) → Promise<{ trackingNumber, labelId }>
+ * - track(trackingNumber) → Promise<{ trackingNumber, status, ... }|null>
+ * - isTrackingNumber(trackingNumber) → boolean, true if the number has the
+ *   carrier's format
+ */
+class FakeCarrier {
+  /**
+   * @param {Object} options - Carrier definition (see defaultCarriers)
+   * @param {string} options.code - Carrier code
+   * @param {string} [options.name] - Display name (default: the code)
+   * @param {Object} options.tracking - { prefix, digits } tracking format
+   * @param {Object[]} options.services - [{ service, level, baseRate,
+   *   perItem, transitDays }], rates in cents
+   * @param {Object} [options.clock] - Clock for label timestamps
+   *   (default: a SystemClock)
+   */
+  constructor(options) {
+    this.clock = options.clock || new SystemClock();
+    this.code = options.code;
+    this.name = options.name || options.code;
+    this.services = options.services;
+    this.tracking = options.tracking;
+    this.trackingPattern = new RegExp(
+      `^${options.tracking.prefix}\\d{${options.tracking.digits}}$`
+    );
+    this.labels = new Map(); // trackingNumber -> label
+    this.labelCount = 0;
+  }
+
+  /**
+   * Quote every service for a shipment
+   * @param {Object} request - { origins, address, quantity }
+   * @returns {Promise<Object[]>} Array of { service, level, cost, transitDays }
+   */
+  async getRates(request) {
+    return this.services.map((service) => ({
+      service: service.service,
+      level: service.level,
+      cost: service.baseRate + service.perItem * request.quantity,
+      transitDays: service.transitDays,
+    }));
+  }
+
+  /**
+   * Buy a label for a shipment
+   * @param {Object} request - { orderId, rmaNumber, service, origins,
+   *   address, lines }
+   * @returns {Promise<Object>} { trackingNumber, labelId }
+   * @throws {ValidationError} If the carrier doesn't offer the service
+   */
+  async createLabel(request) {
+    if (!this.services.some((service) => service.service === request.service)) {
+      throw new ValidationError(
+        `${this.name} doesn't offer ${request.service} shipping`
+      );
+    }
+
+    const label = {
+      labelId: `${this.code}-LBL${++this.labelCount}`,
+      trackingNumber: this.generateTrackingNumber(),
+      orderId: request.orderId,
+      rmaNumber: request.rmaNumber,
+      service: request.service,
+      createdAt: this.clock.now().toISOString(),
+    };
+    this.labels.set(label.trackingNumber, label);
+    return { trackingNumber: label.trackingNumber, labelId: label.labelId };
+  }
+
+  /**
+   * Look up a label the carrier issued
+   * @param {string} trackingNumber - Tracking number
+   * @returns {Promise<Object|null>} { trackingNumber, carrier, service,
+   *   status, labelCreatedAt }, or null for unknown numbers
+   */
+  async track(trackingNumber) {
+    const label = this.labels.get(trackingNumber);
+    if (!label) return null;
+    return {
+      trackingNumber,
+      carrier: this.code,
+      service: label.service,
+      status: "label_created",
+      labelCreatedAt: label.createdAt,
+    };
+  }
+
+  /**
+   * Check whether a tracking number has this carrier's format
+   * @param {string} trackingNumber - Tracking number
+   * @returns {boolean} True if it could be one of this carrier's
+   */
+  isTrackingNumber(trackingNumber) {
+    return this.trackingPattern.test(trackingNumber);
+  }
+
+  /**
+   * Generate a tracking number: the prefix, then random digits. Numbers
+   * this carrier has issued are never repeated; ones from before a
+   * restart aren't known, so they are only unlikely to repeat.
+   * @returns {string} Tracking number
+   */
+  generateTrackingNumber() {
+    const { prefix, digits } = this.tracking;
+    let trackingNumber;
+    do {
+      trackingNumber = prefix;
+      for (let i = 0; i < digits; i++) {
+        trackingNumber += crypto.randomInt(10);
+      }
+    } while (this.labels.has(trackingNumber));
+    return trackingNumber;
+  }
+}
+
+module.exports = FakeCarrier;
@@ -0,0 +1,100 @@
+/**
+ * FakePaymentGateway - Deterministic in-memory payment gateway for demos
+ * and tests. Approves everything except configured card tokens and
+ * amounts over a limit; transaction IDs are sequential.
+ *
+ * Any gateway passed to PaymentService must implement the same async
+ * interface:
+ * - authorize({ orderId, amount, currency, cardToken }) → { approved, transactionId, reason }
+ * - capture(transactionId, amount) → { success, reason }
+ * - refund(transactionId, amount) → { success, reason }
+ */
+class FakePaymentGateway {
+  /**
+   * @param {Object} [options] - Decline rules
+   * @param {string[]} [options.declinedTokens] - Card tokens that are always
+   *   declined (default: ["tok_declined"])
+   * @param {number} [options.amountLimit] - Amounts (in cents) above this
+   *   are declined (default: no limit)
+   */
+  constructor(options = {}) {
+    this.declinedTokens = new Set(options.declinedTokens || ["tok_declined"]);
+    this.amountLimit =
+      options.amountLimit === undefined ? Infinity : options.amountLimit;
+    this.transactions = new Map(); // transactionId -> transaction
+    this.transactionCount = 0;
+  }
+
+  /**
+   * Place a hold for an amount on a card
+   * @param {Object} request - { orderId, amount, currency, cardToken }
+   * @returns {Promise<Object>} { approved, transactionId, reason }
+   */
+  async authorize(request) {
+    if (this.declinedTokens.has(request.cardToken)) {
+      return { approved: false, reason: "Card declined" };
+    }
+    if (request.amount > this.amountLimit) {
+      return { approved: false, reason: "Amount exceeds limit" };
+    }
+
+    const transactionId = `TXN${++this.transactionCount}`;
+    this.transactions.set(transactionId, {
+      ...request,
+      transactionId,
+      status: "authorized",
+      captured: 0,
+    });
+    return { approved: true, transactionId };
+  }
+
+  /**
+   * Capture an authorized amount
+   * @param {string} transactionId - Transaction ID from authorize()
+   * @param {number} amount - Amount to capture
+   * @returns {Promise<Object>} { success, reason }
+   */
+  async capture(transactionId, amount) {
+    const transaction = this.transactions.get(transactionId);
+    if (!transaction || transaction.status !== "authorized") {
+      return { success: false, reason: "Transaction not authorized" };
+    }
+    if (amount > transaction.amount) {
+      return { success: false, reason: "Amount exceeds authorization" };
+    }
+
+    transaction.status = "captured";
+    transaction.captured = amount;
+    transaction.refunded = 0;
+    return { success: true };
+  }
+
+  /**
+   * Refund some or all of a captured amount, or release the hold on an
+   * uncaptured one
+   * @param {string} transactionId - Transaction ID from authorize()
+   * @param {number} amount - Amount to refund
+   * @returns {Promise<Object>} { success, reason }
+   */
+  async refund(transactionId, amount) {
+    const transaction = this.transactions.get(transactionId);
+    if (!transaction || transaction.status === "refunded") {
+      return { success: false, reason: "Transaction not refundable" };
+    }
+    if (transaction.status === "authorized") {
+      transaction.status = "refunded";
+      return { success: true };
+    }
+    if (amount > transaction.captured - transaction.refunded) {
+      return { success: false, reason: "Amount exceeds captured amount" };
+    }
+
+    transaction.refunded += amount;
+    if (transaction.refunded === transaction.captured) {
+      transaction.status = "refunded";
+    }
+    return { success: true };
+  }
+}
+
+module.exports = FakePaymentGateway;
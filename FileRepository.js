@@ -0,0 +1,59 @@
+const fs = require("fs");
+const path = require("path");
+const InMemoryRepository = require("./InMemoryRepository");
+
+/**
+ * FileRepository - Repository persisted to a JSON file. Data is kept in
+ * memory and the whole file is rewritten on every change.
+ */
+class FileRepository extends InMemoryRepository {
+  /**
+   * @param {string} filePath - JSON file to load from and save to
+   */
+  constructor(filePath) {
+    super();
+    this.filePath = filePath;
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+    if (fs.existsSync(filePath)) {
+      const saved = JSON.parse(fs.readFileSync(filePath, "utf8"));
+      Object.entries(saved).forEach(([key, value]) =>
+        this.data.set(key, value)
+      );
+    }
+  }
+
+  set(key, value) {
+    super.set(key, value);
+    this.save();
+    return this;
+  }
+
+  delete(key) {
+    const deleted = super.delete(key);
+    if (deleted) {
+      this.save();
+    }
+    return deleted;
+  }
+
+  clear() {
+    super.clear();
+    this.save();
+  }
+
+  /**
+   * Write all data to disk. Writes go to a temporary file that is then
+   * renamed, so a crash never leaves a half-written file behind.
+   */
+  save() {
+    const tempPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(
+      tempPath,
+      JSON.stringify(Object.fromEntries(this.data), null, 2)
+    );
+    fs.renameSync(tempPath, this.filePath);
+  }
+}
+
+module.exports = FileRepository;
@@ -0,0 +1,54 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { buildMessage } = require("./mimeMessage");
+const SystemClock = require("./SystemClock");
+
+/**
+ * FileTransport - Delivers emails into a Maildir for development, so they
+ * can be read with any Maildir-aware mail client. Each message is written
+ * to tmp/ and then moved into new/, so readers never see half a message.
+ * See MemoryTransport for the transport interface.
+ */
+class FileTransport {
+  /**
+   * @param {Object} [options] - Transport options
+   * @param {string} [options.directory] - Maildir directory (default: ./data/mail)
+   * @param {Object} [options.clock] - Clock for file names (default: a
+   *   SystemClock)
+   */
+  constructor(options = {}) {
+    this.directory =
+      options.directory || path.join(process.cwd(), "data", "mail");
+    this.clock = options.clock || new SystemClock();
+  }
+
+  /**
+   * Write a message to the Maildir
+   * @param {Object} message - { messageId, from, to, subject, text, html }
+   * @returns {Promise<Object>} { messageId, response, path }
+   */
+  async send(message) {
+    await Promise.all(
+      ["tmp", "new", "cur"].map((folder) =>
+        fs.promises.mkdir(path.join(this.directory, folder), {
+          recursive: true,
+        })
+      )
+    );
+
+    const unique = message.messageId.replace(/[/:]/g, "_");
+    const fileName = `${this.clock.now().getTime()}.${unique}.${os.hostname()}`;
+    const tempPath = path.join(this.directory, "tmp", fileName);
+    const filePath = path.join(this.directory, "new", fileName);
+    await fs.promises.writeFile(tempPath, buildMessage(message));
+    await fs.promises.rename(tempPath, filePath);
+    return {
+      messageId: message.messageId,
+      response: `Saved to ${filePath}`,
+      path: filePath,
+    };
+  }
+}
+
+module.exports = FileTransport;
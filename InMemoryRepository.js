@@ -0,0 +1,102 @@
+/**
+ * InMemoryRepository - Keyed storage for service data, backed by a Map.
+ * Exposes the same API as Map so services can use any repository as a
+ * drop-in replacement. Services call set() again after mutating a stored
+ * object so persistent repositories can save the change.
+ */
+class InMemoryRepository {
+  /**
+   * @param {Iterable} [entries] - Initial [key, value] entries
+   */
+  constructor(entries) {
+    this.data = new Map(entries);
+  }
+
+  /**
+   * Get a value by key
+   * @param {string} key - Key to look up
+   * @returns {*} Stored value or undefined
+   */
+  get(key) {
+    return this.data.get(key);
+  }
+
+  /**
+   * Store a value
+   * @param {string} key - Key to store under
+   * @param {*} value - Value to store
+   * @returns {InMemoryRepository} The repository, for chaining
+   */
+  set(key, value) {
+    this.data.set(key, value);
+    return this;
+  }
+
+  /**
+   * Check whether a key exists
+   * @param {string} key - Key to check
+   * @returns {boolean} True if stored
+   */
+  has(key) {
+    return this.data.has(key);
+  }
+
+  /**
+   * Remove a value
+   * @param {string} key - Key to remove
+   * @returns {boolean} True if a value was removed
+   */
+  delete(key) {
+    return this.data.delete(key);
+  }
+
+  /**
+   * Remove every value
+   */
+  clear() {
+    this.data.clear();
+  }
+
+  /**
+   * Number of stored values
+   * @returns {number} Count of entries
+   */
+  get size() {
+    return this.data.size;
+  }
+
+  /**
+   * @returns {Iterator<string>} Iterator over keys
+   */
+  keys() {
+    return this.data.keys();
+  }
+
+  /**
+   * @returns {Iterator<*>} Iterator over values
+   */
+  values() {
+    return this.data.values();
+  }
+
+  /**
+   * @returns {Iterator<Array>} Iterator over [key, value] entries
+   */
+  entries() {
+    return this.data.entries();
+  }
+
+  /**
+   * Call a function for every entry
+   * @param {function} callback - Called with (value, key, repository)
+   */
+  forEach(callback) {
+    this.data.forEach((value, key) => callback(value, key, this));
+  }
+
+  [Symbol.iterator]() {
+    return this.data.entries();
+  }
+}
+
+module.exports = InMemoryRepository;
@@ -1,72 +1,715 @@
+const { getOrderLines, getQuantitiesByItem } = require("./orderLines");
+const { getAddressRegion } = require("./addresses");
+const { ValidationError, NotFoundError } = require("./errors");
+const InMemoryRepository = require("./InMemoryRepository");
+const StockLedger = require("./StockLedger");
+const SystemClock = require("./SystemClock");
+const { DEFAULT_CATALOG } = require("./defaultCatalog");
+
+// Unconfirmed reservations are released after 15 minutes by default
+const DEFAULT_RESERVATION_TTL = 15 * 60 * 1000;
+
+// A single warehouse serving every region
+const DEFAULT_WAREHOUSES = [{ id: "MAIN", regions: [] }];
+
+// How an order's lines are assigned to warehouses:
+// - nearest: a warehouse serving the shipping region, if one has the line in stock
+// - most_stock: the warehouse with the most of the item
+// - split: fill from the nearest warehouses first, splitting lines as needed
+const ALLOCATION_STRATEGIES = ["nearest", "most_stock", "split"];
+
 /**
- * InventoryService - Manages product inventory and reservations
+ * InventoryService - Manages product inventory and reservations across
+ * warehouses. Stock is keyed by SKU, and each SKU keeps its stock per
+ * warehouse (`warehouses: { [id]: count }`) alongside the `stock` total.
  */
 class InventoryService {
-  constructor(eventBus) {
+  /**
+   * @param {EventBus} eventBus - Event bus
+   * @param {Object} [repositories] - Storage for { inventory, reservations,
+   *   backorders, ledger } (default: in-memory). An empty inventory is
+   *   seeded with the demo catalog.
+   * @param {Object} [options] - Inventory options
+   * @param {number} [options.reservationTtl] - Ms a reservation is held until
+   *   the order is paid or shipped (default: 15 minutes, 0 to never expire)
+   * @param {boolean} [options.backorders] - Queue out-of-stock orders until
+   *   stock is added, instead of rejecting them (default: false)
+   * @param {Object[]} [options.warehouses] - Warehouses as [{ id, regions,
+   *   lowStockThreshold }], where regions are the shipping regions (e.g.
+   *   "CA") a warehouse is nearest to. The first one is the default for new
+   *   stock. (default: a single "MAIN" warehouse)
+   * @param {string} [options.allocationStrategy] - "nearest" (default),
+   *   "most_stock" or "split"
+   * @param {Object} [options.clock] - Clock for timestamps and reservation
+   *   expiry (default: a SystemClock)
+   * @throws {ValidationError} If the allocation strategy is unknown
+   */
+  constructor(eventBus, repositories = {}, options = {}) {
     this.eventBus = eventBus;
-    this.inventory = new Map([
-      ["MacBook Pro", { stock: 10, price: 2399.99, category: "laptops" }],
-      ["iPhone 15", { stock: 25, price: 999.99, category: "phones" }],
-      ["iPad Air", { stock: 15, price: 599.99, category: "tablets" }],
-      ["AirPods Pro", { stock: 50, price: 249.99, category: "accessories" }],
-      ["Apple Watch", { stock: 30, price: 399.99, category: "wearables" }],
-    ]);
-
-    this.reservations = new Map();
+    this.clock = options.clock || new SystemClock();
+    // Used by warehouses without their own threshold
     this.lowStockThreshold = 5;
+    this.warehouses = new Map(
+      (options.warehouses || DEFAULT_WAREHOUSES).map((warehouse) => [
+        warehouse.id,
+        {
+          regions: [],
+          ...warehouse,
+          lowStockThreshold:
+            warehouse.lowStockThreshold === undefined
+              ? this.lowStockThreshold
+              : warehouse.lowStockThreshold,
+        },
+      ])
+    );
+    this.defaultWarehouse = this.warehouses.keys().next().value;
+    this.allocationStrategy = options.allocationStrategy || "nearest";
+    if (!ALLOCATION_STRATEGIES.includes(this.allocationStrategy)) {
+      throw new ValidationError(
+        `Unknown allocation strategy: ${this.allocationStrategy}`
+      );
+    }
+
+    this.inventory = repositories.inventory || new InMemoryRepository();
+    if (this.inventory.size === 0) {
+      DEFAULT_CATALOG.forEach(({ sku, ...itemData }) => {
+        this.inventory.set(sku, this.createProduct(itemData));
+      });
+    }
+    this.ledger = new StockLedger(repositories.ledger, this.clock);
+    // Stock that predates the ledger (or was just seeded) is its opening balance
+    this.inventory.forEach((item, itemName) => {
+      if (!this.ledger.hasEntries(itemName)) {
+        this.recordOpeningStock(itemName);
+      }
+    });
+
+    this.reservations = repositories.reservations || new InMemoryRepository();
+    // Backordered orders, oldest first (orderId -> backorder)
+    this.backorders = repositories.backorders || new InMemoryRepository();
+    this.reservationTtl =
+      options.reservationTtl === undefined
+        ? DEFAULT_RESERVATION_TTL
+        : options.reservationTtl;
+    this.backordersEnabled = options.backorders || false;
+    this.expiryTimers = new Map(); // orderId -> reservation expiry job ID
 
     // Bind methods
     this.checkAndReserveItem = this.checkAndReserveItem.bind(this);
     this.handleDelivery = this.handleDelivery.bind(this);
+    this.handleReleaseRequest = this.handleReleaseRequest.bind(this);
+    this.handleCancellation = this.handleCancellation.bind(this);
+    this.handleReturnReceived = this.handleReturnReceived.bind(this);
+    this.confirmReservation = this.confirmReservation.bind(this);
+    this.syncCatalogProduct = this.syncCatalogProduct.bind(this);
 
     // Register event listeners
     this.eventBus.on("order:created", this.checkAndReserveItem);
     this.eventBus.on("order:delivered", this.handleDelivery);
+    this.eventBus.on("inventory:release_requested", this.handleReleaseRequest);
+    this.eventBus.on("order:cancelled", this.handleCancellation);
+    this.eventBus.on("return:received", this.handleReturnReceived);
+    // New catalog SKUs start out of stock
+    this.eventBus.on("catalog:product_added", this.syncCatalogProduct);
+    this.eventBus.on("catalog:product_updated", this.syncCatalogProduct);
+    // A paid (or shipped) order keeps its reservation
+    this.eventBus.on("order:status_updated", this.confirmReservation, {
+      filter: (data) => data.status === "paid" || data.status === "shipped",
+    });
+
+    this.registerReplayHandlers();
+  }
+
+  /**
+   * Rebuild stock levels and reservations from the event log
+   */
+  registerReplayHandlers() {
+    this.eventBus.onReplay("catalog:product_added", this.syncCatalogProduct);
+    this.eventBus.onReplay("catalog:product_updated", this.syncCatalogProduct);
+    this.eventBus.onReplay("inventory:product_added", (data, record) => {
+      this.inventory.set(data.item, this.createProduct(data));
+      this.recordOpeningStock(data.item, record.timestamp);
+    });
+    this.eventBus.onReplay("inventory:stock_added", (data, record) => {
+      if (this.inventory.has(data.item)) {
+        this.applyStockChange(data.item, data.added, data.warehouse, {
+          type: "receipt",
+          reason: data.reason,
+          actor: data.actor,
+          orderId: data.orderId,
+          timestamp: record.timestamp,
+        });
+      }
+    });
+    this.eventBus.onReplay("inventory:stock_adjusted", (data, record) => {
+      if (this.inventory.has(data.item)) {
+        this.applyStockChange(data.item, data.delta, data.warehouse, {
+          type: "adjustment",
+          reason: data.reason,
+          actor: data.actor,
+          timestamp: record.timestamp,
+        });
+      }
+    });
+    this.eventBus.onReplay("inventory:written_off", (data, record) => {
+      if (this.inventory.has(data.item)) {
+        this.recordReturnWriteOff(data, record.timestamp);
+      }
+    });
+    this.eventBus.onReplay("order:inventory_reserved", (orderData, record) => {
+      const allocations = this.getAllocations(orderData);
+      allocations.forEach((allocation) => {
+        this.applyStockChange(
+          allocation.item,
+          -allocation.quantity,
+          allocation.warehouse,
+          {
+            type: "reservation",
+            orderId: orderData.orderId,
+            timestamp: record.timestamp,
+          }
+        );
+      });
+      this.reservations.set(orderData.orderId, {
+        lines: orderData.lines,
+        allocations,
+        reservedAt: record.timestamp,
+        expiresAt: orderData.reservationExpiresAt || null,
+        status: "reserved",
+      });
+      this.backorders.delete(orderData.orderId);
+    });
+    this.eventBus.onReplay("order:status_updated", (data) => {
+      const reservation = this.reservations.get(data.orderId);
+      if (
+        reservation &&
+        (data.status === "paid" || data.status === "shipped")
+      ) {
+        reservation.expiresAt = null;
+        this.reservations.set(data.orderId, reservation);
+      }
+    });
+    this.eventBus.onReplay("inventory:backordered", (data) => {
+      this.backorders.set(data.orderId, data.backorder);
+    });
+    this.eventBus.onReplay("inventory:backorder_cancelled", (data) => {
+      this.backorders.delete(data.orderId);
+    });
+    this.eventBus.onReplay("inventory:released", (data, record) => {
+      const reservation = this.reservations.get(data.orderId);
+      if (!reservation) return;
+      this.getAllocations(data).forEach((allocation) => {
+        this.applyStockChange(
+          allocation.item,
+          allocation.quantity,
+          allocation.warehouse,
+          {
+            type: "release",
+            reason: data.reason,
+            orderId: data.orderId,
+            timestamp: record.timestamp,
+          }
+        );
+      });
+      reservation.status = "released";
+      reservation.releasedAt = record.timestamp;
+      reservation.releaseReason = data.reason;
+      this.reservations.set(data.orderId, reservation);
+    });
+    this.eventBus.onReplay("order:delivered", (shipmentData, record) => {
+      const reservation = this.reservations.get(shipmentData.orderId);
+      if (reservation) {
+        reservation.status = "fulfilled";
+        reservation.fulfilledAt = record.timestamp;
+        this.reservations.set(shipmentData.orderId, reservation);
+        this.recordFulfilment(
+          shipmentData.orderId,
+          reservation,
+          record.timestamp
+        );
+      }
+    });
+  }
+
+  /**
+   * Build a product record. Stock given as a plain number goes into the
+   * default warehouse.
+   * @param {Object} itemData - Item data (name, stock or warehouses, price,
+   *   category)
+   * @returns {Object} Product with per-warehouse and total stock
+   */
+  createProduct(itemData) {
+    const warehouses = itemData.warehouses
+      ? { ...itemData.warehouses }
+      : { [this.defaultWarehouse]: itemData.stock || 0 };
+    return {
+      name: itemData.name || null,
+      stock: Object.values(warehouses).reduce((sum, count) => sum + count, 0),
+      warehouses,
+      price: itemData.price || 0,
+      category: itemData.category || "general",
+    };
+  }
+
+  /**
+   * Keep stock records in line with the catalog: new SKUs are added
+   * without stock, and name, price and category changes are copied over
+   * @param {Object} data - Catalog event with the product's `sellables`
+   */
+  syncCatalogProduct(data) {
+    data.sellables.forEach(({ sku, name, price, category }) => {
+      const item = this.inventory.get(sku);
+      if (item) {
+        this.inventory.set(sku, { ...item, name, price, category });
+      } else {
+        this.inventory.set(
+          sku,
+          this.createProduct({ name, price, category, stock: 0 })
+        );
+      }
+    });
+  }
+
+  /**
+   * Change an item's stock level in a warehouse, save it to the
+   * repository and record the movement in the ledger
+   * @param {string} itemName - Item name
+   * @param {number} delta - Quantity to add (negative to remove)
+   * @param {string} [warehouseId] - Warehouse (default: the default warehouse)
+   * @param {Object} movement - Ledger details: { type, reason, actor,
+   *   orderId, timestamp } (see StockLedger)
+   * @returns {Object} Updated item
+   */
+  applyStockChange(
+    itemName,
+    delta,
+    warehouseId = this.defaultWarehouse,
+    movement
+  ) {
+    const item = this.inventory.get(itemName);
+    item.warehouses = this.getWarehouseStock(itemName);
+    item.warehouses[warehouseId] = (item.warehouses[warehouseId] || 0) + delta;
+    item.stock += delta;
+    this.inventory.set(itemName, item);
+    this.ledger.record({
+      ...movement,
+      item: itemName,
+      warehouse: warehouseId,
+      quantity: delta,
+      balance: item.warehouses[warehouseId],
+    });
+    return item;
+  }
+
+  /**
+   * Record an item's current stock as receipts, e.g. for a new product
+   * @param {string} itemName - Item name
+   * @param {string} [timestamp] - When the stock arrived (default: now)
+   */
+  recordOpeningStock(itemName, timestamp) {
+    const stock = this.getWarehouseStock(itemName);
+    Object.keys(stock)
+      .filter((warehouseId) => stock[warehouseId] !== 0)
+      .forEach((warehouseId) => {
+        this.ledger.record({
+          item: itemName,
+          warehouse: warehouseId,
+          type: "receipt",
+          quantity: stock[warehouseId],
+          balance: stock[warehouseId],
+          reason: "Opening stock",
+          timestamp,
+        });
+      });
   }
 
   /**
-   * Check inventory and reserve item for order
+   * Record a reservation's stock leaving for the customer. Reserved stock
+   * already left the available count, so fulfilment entries move nothing
+   * and note the shipped quantity as `fulfilled`.
+   * @param {string} orderId - Order ID
+   * @param {Object} reservation - Fulfilled reservation
+   * @param {string} [timestamp] - When the order was delivered (default: now)
+   */
+  recordFulfilment(orderId, reservation, timestamp) {
+    this.getAllocations(reservation)
+      .filter((allocation) => this.inventory.has(allocation.item))
+      .forEach((allocation) => {
+        this.ledger.record({
+          item: allocation.item,
+          warehouse: allocation.warehouse,
+          type: "fulfilment",
+          quantity: 0,
+          fulfilled: allocation.quantity,
+          balance: this.getWarehouseStock(allocation.item)[
+            allocation.warehouse
+          ],
+          orderId,
+          timestamp,
+        });
+      });
+  }
+
+  /**
+   * Record a damaged return: the items come back and are written off
+   * straight away, leaving stock unchanged
+   * @param {Object} data - { item, warehouse, quantity, orderId, rmaNumber, reason }
+   * @param {string} [timestamp] - When the return arrived (default: now)
+   */
+  recordReturnWriteOff(data, timestamp) {
+    this.applyStockChange(data.item, data.quantity, data.warehouse, {
+      type: "receipt",
+      reason: `Return ${data.rmaNumber}`,
+      orderId: data.orderId,
+      timestamp,
+    });
+    this.applyStockChange(data.item, -data.quantity, data.warehouse, {
+      type: "write_off",
+      reason: data.reason,
+      orderId: data.orderId,
+      timestamp,
+    });
+  }
+
+  /**
+   * Get an item's stock per warehouse. Items stored before warehouses
+   * were tracked hold all their stock in the default warehouse.
+   * @param {string} itemName - Item name
+   * @returns {Object} Warehouse ID → stock
+   */
+  getWarehouseStock(itemName) {
+    const item = this.inventory.get(itemName);
+    return item.warehouses
+      ? { ...item.warehouses }
+      : { [this.defaultWarehouse]: item.stock };
+  }
+
+  /**
+   * Get a reservation's (or reservation event's) warehouse allocations.
+   * Reservations made before warehouses were tracked came from the
+   * default warehouse.
+   * @param {Object} data - Reservation, or event data with lines
+   * @returns {Object[]} Array of { item, warehouse, quantity }
+   */
+  getAllocations(data) {
+    if (data.allocations) {
+      return data.allocations;
+    }
+    return Array.from(getQuantitiesByItem(data.lines).entries()).map(
+      ([item, quantity]) => ({
+        item,
+        warehouse: this.defaultWarehouse,
+        quantity,
+      })
+    );
+  }
+
+  /**
+   * Decide which warehouses each item of an order ships from, using the
+   * allocation strategy. Whole lines go to a single warehouse when one
+   * has enough, unless the strategy is "split"; otherwise a line is split
+   * across warehouses in order of preference.
+   * @param {Map<string, number>} quantities - Item name → quantity, all in stock
+   * @param {string|Object} [address] - Shipping address
+   * @returns {Object[]} Array of { item, warehouse, quantity }
+   */
+  allocate(quantities, address) {
+    const region = getAddressRegion(address);
+    const allocations = [];
+
+    quantities.forEach((quantity, itemName) => {
+      const stock = this.getWarehouseStock(itemName);
+      const candidates = this.rankWarehouses(stock, region);
+
+      const single =
+        this.allocationStrategy !== "split" &&
+        candidates.find((warehouseId) => stock[warehouseId] >= quantity);
+      if (single) {
+        allocations.push({ item: itemName, warehouse: single, quantity });
+        return;
+      }
+
+      let remaining = quantity;
+      candidates.forEach((warehouseId) => {
+        const taken = Math.min(remaining, stock[warehouseId]);
+        if (taken > 0) {
+          allocations.push({
+            item: itemName,
+            warehouse: warehouseId,
+            quantity: taken,
+          });
+          remaining -= taken;
+        }
+      });
+    });
+
+    return allocations;
+  }
+
+  /**
+   * Order the warehouses holding an item by preference for the
+   * allocation strategy. Ties keep the configured warehouse order.
+   * @param {Object} stock - Warehouse ID → stock of the item
+   * @param {string|null} region - Shipping region
+   * @returns {string[]} Warehouse IDs with stock, most preferred first
+   */
+  rankWarehouses(stock, region) {
+    const candidates = Array.from(this.warehouses.keys()).filter(
+      (warehouseId) => stock[warehouseId] > 0
+    );
+    if (this.allocationStrategy === "most_stock") {
+      return candidates.sort((a, b) => stock[b] - stock[a]);
+    }
+    const isNear = (warehouseId) =>
+      this.warehouses.get(warehouseId).regions.includes(region);
+    return candidates.sort((a, b) => isNear(b) - isNear(a));
+  }
+
+  /**
+   * Check inventory and reserve every line of an order. Reservation is
+   * all-or-nothing: if any line can't be satisfied, nothing is reserved
+   * and, in backorder mode, the order waits in the backorder queue.
    * @param {Object} orderData - Order information
    */
   checkAndReserveItem(orderData) {
-    const item = this.inventory.get(orderData.item);
+    const lines = getOrderLines(orderData);
+    const quantities = getQuantitiesByItem(lines);
 
-    if (!item) {
-      console.log(`[InventoryService] Item not found: ${orderData.item}`);
-      this.eventBus.emit("order:inventory_unavailable", orderData);
+    const unavailableItems = Array.from(quantities.keys()).filter(
+      (itemName) => !this.inventory.has(itemName)
+    );
+    if (unavailableItems.length > 0) {
+      console.log(
+        `[InventoryService] Item not found: ${unavailableItems.join(", ")}`
+      );
+      this.eventBus.emit("order:inventory_unavailable", {
+        ...orderData,
+        unavailableItems,
+      });
       return;
     }
 
-    if (item.stock <= 0) {
-      console.log(`[InventoryService] Out of stock: ${orderData.item}`);
-      this.eventBus.emit("order:out_of_stock", orderData);
+    const outOfStockItems = Array.from(quantities.entries())
+      .filter(([itemName, quantity]) => !this.isAvailable(itemName, quantity))
+      .map(([itemName, quantity]) => ({
+        item: itemName,
+        requested: quantity,
+        available: this.inventory.get(itemName).stock,
+      }));
+    if (outOfStockItems.length > 0) {
+      const itemNames = outOfStockItems.map((line) => line.item).join(", ");
+      if (this.backordersEnabled) {
+        this.addBackorder(orderData, outOfStockItems);
+        return;
+      }
+      console.log(`[InventoryService] Out of stock: ${itemNames}`);
+      this.eventBus.emit("order:out_of_stock", {
+        ...orderData,
+        outOfStockItems,
+      });
       return;
     }
 
-    // Reserve the item
-    item.stock -= 1;
+    this.reserveOrder(orderData);
+  }
+
+  /**
+   * Reserve every line of an order whose stock has been checked
+   * @param {Object} orderData - Order information
+   */
+  reserveOrder(orderData) {
+    const lines = getOrderLines(orderData);
+    const quantities = getQuantitiesByItem(lines);
+
+    // Reserve every line from its warehouses, snapshotting the unit price
+    // at reservation time
+    const allocations = this.allocate(quantities, orderData.address);
+    allocations.forEach((allocation) => {
+      this.applyStockChange(
+        allocation.item,
+        -allocation.quantity,
+        allocation.warehouse,
+        { type: "reservation", orderId: orderData.orderId }
+      );
+    });
+    const reservedLines = lines.map((line) => ({
+      item: line.item,
+      name: line.name || this.inventory.get(line.item).name,
+      quantity: line.quantity,
+      unitPrice:
+        line.unitPrice == null
+          ? this.inventory.get(line.item).price
+          : line.unitPrice,
+    }));
+    const reservedAt = this.clock.now();
+    const expiresAt = this.reservationTtl
+      ? new Date(reservedAt.getTime() + this.reservationTtl).toISOString()
+      : null;
     this.reservations.set(orderData.orderId, {
-      item: orderData.item,
-      quantity: 1,
-      price: item.price,
-      reservedAt: new Date().toISOString(),
+      lines: reservedLines,
+      allocations,
+      reservedAt: reservedAt.toISOString(),
+      expiresAt,
       status: "reserved",
     });
+    if (expiresAt) {
+      this.scheduleExpiry(orderData.orderId, this.reservationTtl);
+    }
+
+    allocations.forEach((allocation) => {
+      const item = this.inventory.get(allocation.item);
+      const warehouseStock = item.warehouses[allocation.warehouse];
+      const { lowStockThreshold } = this.warehouses.get(allocation.warehouse);
+      console.log(
+        `[InventoryService] Item reserved: ${allocation.item} x${allocation.quantity} from ${allocation.warehouse}, Stock remaining: ${warehouseStock}`
+      );
+
+      // Check for low stock in the warehouse
+      if (warehouseStock <= lowStockThreshold) {
+        this.eventBus.emit("inventory:low_stock", {
+          item: allocation.item,
+          warehouse: allocation.warehouse,
+          currentStock: warehouseStock,
+          threshold: lowStockThreshold,
+        });
+      }
+    });
+
+    this.eventBus.emit("order:inventory_reserved", {
+      ...orderData,
+      lines: reservedLines,
+      allocations,
+      reservationExpiresAt: expiresAt,
+    });
+  }
+
+  /**
+   * Release a reservation once its TTL runs out
+   * @param {string} orderId - Order ID
+   * @param {number} delay - Ms until the reservation expires
+   */
+  scheduleExpiry(orderId, delay) {
+    const jobId = this.clock.schedule(
+      () => {
+        this.expiryTimers.delete(orderId);
+        this.expireReservation(orderId);
+      },
+      delay,
+      // Don't keep the process alive just to expire reservations
+      { name: `expire-reservation:${orderId}`, unref: true }
+    );
+    this.expiryTimers.set(orderId, jobId);
+  }
+
+  /**
+   * Release a reservation that wasn't confirmed in time
+   * @param {string} orderId - Order ID
+   * @returns {boolean} True if the reservation expired
+   */
+  expireReservation(orderId) {
+    const reservation = this.reservations.get(orderId);
+    if (!reservation || reservation.status !== "reserved") return false;
+    if (!reservation.expiresAt) return false;
+
+    console.log(`[InventoryService] Reservation expired for order: ${orderId}`);
+    this.releaseReservation(orderId, "Reservation expired");
+    this.eventBus.emit("inventory:reservation_expired", { orderId });
+    return true;
+  }
+
+  /**
+   * Release every unconfirmed reservation whose TTL has passed and schedule
+   * the expiry of the rest, e.g. after a restart lost the expiry timers
+   * @returns {number} Number of reservations released
+   */
+  releaseExpiredReservations() {
+    const now = this.clock.now().getTime();
+    let released = 0;
+    Array.from(this.reservations.entries()).forEach(
+      ([orderId, reservation]) => {
+        if (reservation.status !== "reserved" || !reservation.expiresAt) return;
+        const delay = Date.parse(reservation.expiresAt) - now;
+        if (delay <= 0) {
+          if (this.expireReservation(orderId)) released++;
+        } else if (!this.expiryTimers.has(orderId)) {
+          this.scheduleExpiry(orderId, delay);
+        }
+      }
+    );
+    return released;
+  }
+
+  /**
+   * Keep a reservation past its TTL once the order is paid or shipped
+   * @param {Object} data - Status update information
+   */
+  confirmReservation(data) {
+    const reservation = this.reservations.get(data.orderId);
+    if (!reservation || !reservation.expiresAt) return;
+
+    this.clock.cancel(this.expiryTimers.get(data.orderId));
+    this.expiryTimers.delete(data.orderId);
+    reservation.expiresAt = null;
+    this.reservations.set(data.orderId, reservation);
+  }
+
+  /**
+   * Queue an out-of-stock order until stock is added
+   * @param {Object} orderData - Order information
+   * @param {Object[]} outOfStockItems - [{ item, requested, available }]
+   */
+  addBackorder(orderData, outOfStockItems) {
+    const backorder = {
+      orderData,
+      items: outOfStockItems.map((line) => line.item),
+      queuedAt: this.clock.now().toISOString(),
+    };
+    this.backorders.set(orderData.orderId, backorder);
 
     console.log(
-      `[InventoryService] Item reserved: ${orderData.item}, Stock remaining: ${item.stock}`
+      `[InventoryService] Backordered ${
+        orderData.orderId
+      }: ${backorder.items.join(", ")}`
     );
+    this.eventBus.emit("inventory:backordered", {
+      orderId: orderData.orderId,
+      outOfStockItems,
+      backorder,
+    });
+  }
+
+  /**
+   * Reserve backordered orders waiting on an item, oldest first. The
+   * queue for an item stops at the first order there still isn't enough
+   * of it for, so later orders can't jump ahead.
+   * @param {string} itemName - Item that was restocked
+   * @returns {string[]} IDs of the orders that were filled
+   */
+  fillBackorders(itemName) {
+    const filled = [];
+    for (const [orderId, backorder] of Array.from(this.backorders.entries())) {
+      const quantities = getQuantitiesByItem(
+        getOrderLines(backorder.orderData)
+      );
+      if (!quantities.has(itemName)) continue;
+      if (!this.isAvailable(itemName, quantities.get(itemName))) break;
+
+      // Still waiting on another item
+      const ready = Array.from(quantities.entries()).every(([item, quantity]) =>
+        this.isAvailable(item, quantity)
+      );
+      if (!ready) continue;
 
-    // Check for low stock
-    if (item.stock <= this.lowStockThreshold) {
-      this.eventBus.emit("inventory:low_stock", {
-        item: orderData.item,
-        currentStock: item.stock,
-        threshold: this.lowStockThreshold,
+      this.backorders.delete(orderId);
+      console.log(`[InventoryService] Backorder filled: ${orderId}`);
+      this.eventBus.emit("inventory:backorder_filled", {
+        orderId,
+        queuedAt: backorder.queuedAt,
       });
+      this.reserveOrder(backorder.orderData);
+      filled.push(orderId);
     }
-
-    this.eventBus.emit("order:inventory_reserved", orderData);
+    return filled;
   }
 
   /**
@@ -77,7 +720,9 @@ class InventoryService {
     const reservation = this.reservations.get(shipmentData.orderId);
     if (reservation) {
       reservation.status = "fulfilled";
-      reservation.fulfilledAt = new Date().toISOString();
+      reservation.fulfilledAt = this.clock.now().toISOString();
+      this.reservations.set(shipmentData.orderId, reservation);
+      this.recordFulfilment(shipmentData.orderId, reservation);
       console.log(
         `[InventoryService] Reservation fulfilled for order: ${shipmentData.orderId}`
       );
@@ -85,36 +730,279 @@ class InventoryService {
   }
 
   /**
-   * Add stock for an item
+   * Handle a request to release a reservation (e.g. saga compensation)
+   * @param {Object} data - Release request with orderId and reason
+   */
+  handleReleaseRequest(data) {
+    this.releaseReservation(data.orderId, data.reason);
+  }
+
+  /**
+   * Handle order cancellation - give the reserved stock back
+   * @param {Object} data - Cancellation information
+   */
+  handleCancellation(data) {
+    if (this.backorders.has(data.orderId)) {
+      this.backorders.delete(data.orderId);
+      this.eventBus.emit("inventory:backorder_cancelled", {
+        orderId: data.orderId,
+      });
+    }
+    this.releaseReservation(data.orderId, data.reason || "Order cancelled");
+  }
+
+  /**
+   * Handle a received return - restock resellable items at the warehouse
+   * they shipped from and write off damaged ones
+   * @param {Object} rma - Received return with per-line conditions
+   */
+  handleReturnReceived(rma) {
+    const reservation = this.reservations.get(rma.orderId);
+    const allocations = reservation ? this.getAllocations(reservation) : [];
+    rma.lines.forEach((line) => {
+      const allocation = allocations.find(
+        (candidate) => candidate.item === line.item
+      );
+      const warehouseId = allocation
+        ? allocation.warehouse
+        : this.defaultWarehouse;
+      if (!this.inventory.has(line.item)) return;
+
+      if (line.condition === "damaged") {
+        const writeOff = {
+          item: line.item,
+          warehouse: warehouseId,
+          quantity: line.quantity,
+          orderId: rma.orderId,
+          rmaNumber: rma.rmaNumber,
+          reason: "Damaged on return",
+        };
+        this.recordReturnWriteOff(writeOff);
+        console.log(
+          `[InventoryService] Written off: ${line.item} x${line.quantity} (${rma.rmaNumber})`
+        );
+        this.eventBus.emit("inventory:written_off", writeOff);
+      } else {
+        this.addStock(line.item, line.quantity, warehouseId, {
+          reason: `Return ${rma.rmaNumber}`,
+          orderId: rma.orderId,
+        });
+      }
+    });
+  }
+
+  /**
+   * Release a reservation and return its stock to inventory
+   * @param {string} orderId - Order ID
+   * @param {string} [reason] - Why the reservation is released
+   * @returns {boolean} True if a reservation was released
+   */
+  releaseReservation(orderId, reason) {
+    const reservation = this.reservations.get(orderId);
+    if (!reservation || reservation.status !== "reserved") {
+      return false;
+    }
+
+    this.clock.cancel(this.expiryTimers.get(orderId));
+    this.expiryTimers.delete(orderId);
+    const allocations = this.getAllocations(reservation);
+    allocations.forEach((allocation) => {
+      if (this.inventory.has(allocation.item)) {
+        this.applyStockChange(
+          allocation.item,
+          allocation.quantity,
+          allocation.warehouse,
+          { type: "release", reason, orderId }
+        );
+      }
+    });
+    reservation.status = "released";
+    reservation.releasedAt = this.clock.now().toISOString();
+    reservation.releaseReason = reason;
+    this.reservations.set(orderId, reservation);
+
+    console.log(
+      `[InventoryService] Reservation released for order: ${orderId}`
+    );
+    this.eventBus.emit("inventory:released", {
+      orderId,
+      lines: reservation.lines,
+      allocations,
+      reason,
+    });
+    // Released stock can fill backorders
+    reservation.lines.forEach((line) => this.fillBackorders(line.item));
+    return true;
+  }
+
+  /**
+   * Add stock for an item at a warehouse and fill any backorders waiting
+   * on it
    * @param {string} itemName - Item name
    * @param {number} quantity - Quantity to add
+   * @param {string} [warehouseId] - Warehouse (default: the default warehouse)
+   * @param {Object} [details] - Ledger details: { reason, actor, orderId }
+   * @throws {ValidationError} If the warehouse doesn't exist or the
+   *   quantity isn't a positive integer
    */
-  addStock(itemName, quantity) {
-    const item = this.inventory.get(itemName);
-    if (item) {
-      item.stock += quantity;
+  addStock(
+    itemName,
+    quantity,
+    warehouseId = this.defaultWarehouse,
+    details = {}
+  ) {
+    if (!this.warehouses.has(warehouseId)) {
+      throw new ValidationError(`Unknown warehouse: ${warehouseId}`);
+    }
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      throw new ValidationError("Quantity must be a positive integer");
+    }
+    if (this.inventory.has(itemName)) {
+      const item = this.applyStockChange(itemName, quantity, warehouseId, {
+        ...details,
+        type: "receipt",
+      });
       console.log(
-        `[InventoryService] Stock added: ${itemName} +${quantity}, Total: ${item.stock}`
+        `[InventoryService] Stock added: ${itemName} +${quantity} at ${warehouseId}, Total: ${item.stock}`
       );
       this.eventBus.emit("inventory:stock_added", {
+        ...details,
         item: itemName,
+        warehouse: warehouseId,
         added: quantity,
         total: item.stock,
       });
+      this.fillBackorders(itemName);
+    }
+  }
+
+  /**
+   * Correct an item's stock in a warehouse to a physical (cycle) count.
+   * The difference is recorded as an adjustment.
+   * @param {string} itemName - Item name
+   * @param {number} countedQuantity - Quantity actually on the shelf
+   * @param {Object} [details] - { warehouse (default: the default
+   *   warehouse), reason, actor }
+   * @returns {Object} The adjustment: { item, warehouse, previous, counted,
+   *   delta, reason, actor }
+   * @throws {NotFoundError} If the item doesn't exist
+   * @throws {ValidationError} If the warehouse doesn't exist or the count
+   *   isn't a non-negative integer
+   */
+  adjustStock(itemName, countedQuantity, details = {}) {
+    const warehouseId = details.warehouse || this.defaultWarehouse;
+    if (!this.inventory.has(itemName)) {
+      throw new NotFoundError(`Item ${itemName} not found`, "ITEM_NOT_FOUND");
+    }
+    if (!this.warehouses.has(warehouseId)) {
+      throw new ValidationError(`Unknown warehouse: ${warehouseId}`);
+    }
+    if (!Number.isInteger(countedQuantity) || countedQuantity < 0) {
+      throw new ValidationError(
+        "Counted quantity must be a non-negative integer"
+      );
+    }
+
+    const previous = this.getWarehouseStock(itemName)[warehouseId] || 0;
+    const adjustment = {
+      item: itemName,
+      warehouse: warehouseId,
+      previous,
+      counted: countedQuantity,
+      delta: countedQuantity - previous,
+      reason: details.reason || "Cycle count",
+      actor: details.actor || "system",
+    };
+    this.applyStockChange(itemName, adjustment.delta, warehouseId, {
+      type: "adjustment",
+      reason: adjustment.reason,
+      actor: adjustment.actor,
+    });
+
+    console.log(
+      `[InventoryService] Stock adjusted: ${itemName} at ${warehouseId} ${previous} → ${countedQuantity}`
+    );
+    this.eventBus.emit("inventory:stock_adjusted", adjustment);
+    if (adjustment.delta > 0) {
+      this.fillBackorders(itemName);
+    }
+    return adjustment;
+  }
+
+  /**
+   * Get an item's stock movements, oldest first
+   * @param {string} itemName - Item name
+   * @returns {Object[]} Array of ledger entries (see StockLedger)
+   */
+  getStockHistory(itemName) {
+    return this.ledger.getEntries(itemName);
+  }
+
+  /**
+   * Recompute stock from the ledger and compare it with the stored stock
+   * levels
+   * @returns {Object[]} Array of { item, warehouse, expected, actual, drift }
+   *   for every item and warehouse that doesn't match (empty if all do)
+   */
+  reconcileStock() {
+    const balances = this.ledger.getBalances();
+    const discrepancies = [];
+    this.inventory.forEach((item, itemName) => {
+      const expected = balances.get(itemName) || {};
+      const actual = this.getWarehouseStock(itemName);
+      const warehouseIds = new Set([
+        ...Object.keys(expected),
+        ...Object.keys(actual),
+      ]);
+      warehouseIds.forEach((warehouseId) => {
+        const drift = (actual[warehouseId] || 0) - (expected[warehouseId] || 0);
+        if (drift !== 0) {
+          discrepancies.push({
+            item: itemName,
+            warehouse: warehouseId,
+            expected: expected[warehouseId] || 0,
+            actual: actual[warehouseId] || 0,
+            drift,
+          });
+        }
+      });
+    });
+
+    if (discrepancies.length > 0) {
+      console.log(
+        `[InventoryService] Stock drift found for: ${discrepancies
+          .map((discrepancy) => discrepancy.item)
+          .join(", ")}`
+      );
     }
+    return discrepancies;
   }
 
   /**
    * Add new product to inventory
    * @param {string} itemName - Item name
-   * @param {Object} itemData - Item data (stock, price, category)
+   * @param {Object} itemData - Item data (stock, price, category), with
+   *   stock per warehouse in `warehouses` ({ [id]: count }) or all of it in
+   *   the default warehouse
    */
   addProduct(itemName, itemData) {
-    this.inventory.set(itemName, {
-      stock: itemData.stock || 0,
-      price: itemData.price || 0,
-      category: itemData.category || "general",
-    });
+    if (this.inventory.has(itemName)) {
+      throw new ValidationError(`Item ${itemName} already exists`);
+    }
+    if (
+      itemData.price !== undefined &&
+      !(
+        typeof itemData.price === "number" &&
+        Number.isFinite(itemData.price) &&
+        itemData.price >= 0
+      )
+    ) {
+      throw new ValidationError(
+        `Invalid price for ${itemName}: ${itemData.price}`
+      );
+    }
+    this.inventory.set(itemName, this.createProduct(itemData));
+    this.recordOpeningStock(itemName);
     console.log(`[InventoryService] New product added: ${itemName}`);
     this.eventBus.emit("inventory:product_added", {
       item: itemName,
@@ -134,13 +1022,31 @@ class InventoryService {
   }
 
   /**
-   * Get low stock items
-   * @returns {Object[]} Array of low stock items
+   * Get the configured warehouses
+   * @returns {Object[]} Array of { id, regions, lowStockThreshold }
+   */
+  getWarehouses() {
+    return Array.from(this.warehouses.values());
+  }
+
+  /**
+   * Get items that are low in at least one warehouse stocking them
+   * @returns {Object[]} Array of low stock items, with the IDs of the
+   *   warehouses they're low in as `lowStockWarehouses`
    */
   getLowStockItems() {
-    return this.getInventory().filter(
-      (item) => item.stock <= this.lowStockThreshold
-    );
+    return this.getInventory()
+      .map((item) => {
+        const stock = this.getWarehouseStock(item.item);
+        const lowStockWarehouses = Object.keys(stock).filter(
+          (warehouseId) =>
+            this.warehouses.has(warehouseId) &&
+            stock[warehouseId] <=
+              this.warehouses.get(warehouseId).lowStockThreshold
+        );
+        return { ...item, lowStockWarehouses };
+      })
+      .filter((item) => item.lowStockWarehouses.length > 0);
   }
 
   /**
@@ -160,6 +1066,14 @@ class InventoryService {
     return Array.from(this.reservations.values());
   }
 
+  /**
+   * Get backordered orders, oldest first
+   * @returns {Object[]} Array of { orderData, items, queuedAt }
+   */
+  getBackorders() {
+    return Array.from(this.backorders.values());
+  }
+
   /**
    * Get reservations by status
    * @param {string} status - Status to filter by
@@ -0,0 +1,28 @@
+/**
+ * MemoryTransport - Keeps emails in memory instead of sending them. The
+ * default transport for demos and tests.
+ *
+ * Any transport passed to EmailService must implement the same async
+ * interface:
+ * - send({ messageId, from, to, subject, text, html }) → { messageId, response }
+ *
+ * Failed sends throw. An EmailDeliveryError with `permanent` set bounces
+ * the email; any other error is retried.
+ */
+class MemoryTransport {
+  constructor() {
+    this.messages = [];
+  }
+
+  /**
+   * Store a message
+   * @param {Object} message - { messageId, from, to, subject, text, html }
+   * @returns {Promise<Object>} { messageId, response }
+   */
+  async send(message) {
+    this.messages.push(message);
+    return { messageId: message.messageId, response: "Stored in memory" };
+  }
+}
+
+module.exports = MemoryTransport;
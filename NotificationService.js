@@ -0,0 +1,558 @@
+const crypto = require("crypto");
+const { URL } = require("url");
+const { ValidationError, NotFoundError } = require("./errors");
+const {
+  validateQuietHours,
+  isQuietTime,
+  getQuietHoursEnd,
+} = require("./quietHours");
+const InMemoryRepository = require("./InMemoryRepository");
+const SystemClock = require("./SystemClock");
+
+// Order statuses customers can be told about; "created" and "shipped" are
+// covered by the confirmation and shipping notifications
+const STATUS_EVENTS = [
+  "reserved",
+  "paid",
+  "delivered",
+  "cancelled",
+  "failed",
+  "returned",
+];
+const NOTIFICATION_EVENTS = [
+  "confirmation",
+  "shipping",
+  ...STATUS_EVENTS,
+  "return_requested",
+  "return_received",
+];
+// What customers get until they change their preferences
+const DEFAULT_EVENTS = NOTIFICATION_EVENTS.filter(
+  (event) => event !== "reserved" && event !== "paid"
+);
+// Contact details a channel needs before customers can choose it
+const CHANNEL_CONTACTS = { sms: "phone", webhook: "webhookUrl" };
+const PREFERENCE_FIELDS = [
+  "events",
+  "channels",
+  "phone",
+  "webhookUrl",
+  "quietHours",
+  "unsubscribed",
+];
+const PHONE_PATTERN = /^\+[1-9]\d{6,14}$/;
+const NOTIFICATION_STATUSES = ["sent", "failed", "skipped", "deferred"];
+
+/**
+ * NotificationService - Tells customers about their orders. Each order
+ * event becomes a notification that fans out to the channels the customer
+ * chose (email, SMS, webhook), unless they opted out of that event or
+ * unsubscribed. Notifications during a customer's quiet hours are held
+ * back until the quiet hours end.
+ *
+ * Preferences are kept per customer email address: { customer, events,
+ * channels, phone, webhookUrl, quietHours, unsubscribed }. Each customer
+ * has a token, signed with the service's token secret, that unsubscribes
+ * them and lets them manage their preferences. Tokens aren't stored with
+ * the preferences or published with them; they only go out in the
+ * unsubscribe links of the customer's messages.
+ *
+ * Notifications record what happened: { notificationId, type, event,
+ * orderId, customer, data, status, deliveries: [{ channel, status,
+ * reference, error, at }] }, where status is "sent" (by at least one
+ * channel), "failed", "skipped" or "deferred".
+ */
+class NotificationService {
+  /**
+   * @param {EventBus} eventBus - Event bus
+   * @param {Object} [repositories] - Storage for { preferences,
+   *   notifications } (default: in-memory)
+   * @param {Object} [options] - Notification options
+   * @param {Object[]} [options.channels] - Channels to deliver through
+   *   (see registerChannel)
+   * @param {Object} [options.clock] - Clock for timestamps, quiet hours and
+   *   deferred notifications (default: a SystemClock)
+   * @param {string} [options.tokenSecret] - Secret customer tokens are
+   *   signed with (default: random, so tokens only last until a restart)
+   * @param {string} [options.unsubscribeUrl] - Base URL of unsubscribe
+   *   links; the customer's token is appended (default:
+   *   "http://localhost:3000/unsubscribe", the ApiServer route)
+   */
+  constructor(eventBus, repositories = {}, options = {}) {
+    this.eventBus = eventBus;
+    this.clock = options.clock || new SystemClock();
+    this.tokenSecret =
+      options.tokenSecret || crypto.randomBytes(32).toString("hex");
+    this.unsubscribeUrl = (
+      options.unsubscribeUrl || "http://localhost:3000/unsubscribe"
+    ).replace(/\/+$/, "");
+    this.preferences = repositories.preferences || new InMemoryRepository();
+    this.notifications = repositories.notifications || new InMemoryRepository();
+    this.channels = new Map(); // name -> channel
+    this.deferralTimers = new Map(); // notificationId -> job ID
+    (options.channels || []).forEach((channel) =>
+      this.registerChannel(channel)
+    );
+
+    // Register event listeners
+    this.eventBus.on(
+      "order:created",
+      (data) => this.notify("confirmation", data, data.email),
+      { name: "NotificationService.confirmation" }
+    );
+    this.eventBus.on(
+      "order:shipped",
+      (data) => this.notify("shipping", data, data.email),
+      { name: "NotificationService.shipping" }
+    );
+    this.eventBus.on(
+      "order:status_updated",
+      (data) => this.notify(data.status, data, data.order.email),
+      {
+        name: "NotificationService.statusUpdate",
+        filter: (data) => STATUS_EVENTS.includes(data.status),
+      }
+    );
+    this.eventBus.on(
+      "return:shipment_created",
+      (rma) => this.notify("return_requested", rma, rma.email),
+      { name: "NotificationService.returnRequested" }
+    );
+    this.eventBus.on(
+      "return:received",
+      (rma) => this.notify("return_received", rma, rma.email),
+      { name: "NotificationService.returnReceived" }
+    );
+
+    // Preference and notification events carry a snapshot
+    this.eventBus.onReplay("notification:preferences_updated", (data) => {
+      this.preferences.set(data.customer, data.preferences);
+    });
+    NOTIFICATION_STATUSES.forEach((status) => {
+      this.eventBus.onReplay(`notification:${status}`, (notification) => {
+        this.notifications.set(notification.notificationId, notification);
+      });
+    });
+  }
+
+  /**
+   * Add a channel notifications can be delivered through. Channels
+   * implement:
+   * - name - e.g. "email", "sms" or "webhook"
+   * - notify({ notificationId, type, event, orderId, customer, data,
+   *   preferences, token, unsubscribeUrl }) → { reference } (or a promise
+   *   of it); failures throw. token is the customer's token and
+   *   unsubscribeUrl the link that opts them out
+   * @param {Object} channel - Channel
+   * @throws {ValidationError} If the channel doesn't implement the interface
+   */
+  registerChannel(channel) {
+    if (!channel || !channel.name || typeof channel.notify !== "function") {
+      throw new ValidationError("Channels need a name and a notify() method");
+    }
+    this.channels.set(channel.name, channel);
+  }
+
+  /**
+   * Get a customer's preferences, or the defaults if they have none
+   * @param {string} customer - Customer email address
+   * @returns {Object} Preferences
+   */
+  getPreferences(customer) {
+    const key = normalizeCustomer(customer);
+    return (
+      this.preferences.get(key) || {
+        customer: key,
+        events: [...DEFAULT_EVENTS],
+        channels: ["email"],
+        phone: null,
+        webhookUrl: null,
+        quietHours: null,
+        unsubscribed: false,
+      }
+    );
+  }
+
+  /**
+   * Change a customer's preferences
+   * @param {string} customer - Customer email address
+   * @param {Object} changes - Any of { events, channels, phone, webhookUrl,
+   *   quietHours, unsubscribed }; quietHours is { start, end, timeZone }
+   *   or null
+   * @returns {Object} The updated preferences
+   * @throws {ValidationError} If a change is unknown or invalid
+   */
+  updatePreferences(customer, changes) {
+    Object.keys(changes).forEach((field) => {
+      if (!PREFERENCE_FIELDS.includes(field)) {
+        throw new ValidationError(`Unknown preference: ${field}`);
+      }
+    });
+    const preferences = { ...this.getPreferences(customer), ...changes };
+
+    if (
+      !Array.isArray(preferences.events) ||
+      preferences.events.some((event) => !NOTIFICATION_EVENTS.includes(event))
+    ) {
+      throw new ValidationError(
+        `Events must be a list of: ${NOTIFICATION_EVENTS.join(", ")}`
+      );
+    }
+    if (!Array.isArray(preferences.channels)) {
+      throw new ValidationError("Channels must be a list");
+    }
+    preferences.channels.forEach((channel) => {
+      if (!this.channels.has(channel)) {
+        throw new ValidationError(`Unknown channel: ${channel}`);
+      }
+      const contact = CHANNEL_CONTACTS[channel];
+      if (contact && !preferences[contact]) {
+        throw new ValidationError(`The ${channel} channel needs a ${contact}`);
+      }
+    });
+    if (preferences.phone !== null && !PHONE_PATTERN.test(preferences.phone)) {
+      throw new ValidationError(
+        `Phone numbers must be in E.164 format, got ${preferences.phone}`
+      );
+    }
+    if (
+      preferences.webhookUrl !== null &&
+      !isWebhookUrl(preferences.webhookUrl)
+    ) {
+      throw new ValidationError(
+        `Invalid webhook URL: ${preferences.webhookUrl}`
+      );
+    }
+    if (preferences.quietHours !== null) {
+      preferences.quietHours = validateQuietHours(preferences.quietHours);
+    }
+    if (typeof preferences.unsubscribed !== "boolean") {
+      throw new ValidationError("unsubscribed must be true or false");
+    }
+
+    return this.savePreferences(preferences);
+  }
+
+  /**
+   * Get a customer's token, for unsubscribe and preference links
+   * @param {string} customer - Customer email address
+   * @returns {string} Token
+   */
+  getCustomerToken(customer) {
+    return crypto
+      .createHmac("sha256", this.tokenSecret)
+      .update(normalizeCustomer(customer), "utf8")
+      .digest("hex");
+  }
+
+  /**
+   * Check a customer's token in constant time
+   * @param {string} customer - Customer email address
+   * @param {string} [token] - Token to check
+   * @returns {boolean} True if the token is the customer's
+   */
+  verifyCustomerToken(customer, token) {
+    if (typeof token !== "string") return false;
+    const expected = Buffer.from(this.getCustomerToken(customer));
+    const actual = Buffer.from(token);
+    return (
+      expected.length === actual.length &&
+      crypto.timingSafeEqual(expected, actual)
+    );
+  }
+
+  /**
+   * Opt out using a customer's token, from one channel or from everything
+   * @param {string} token - Customer token (see getCustomerToken)
+   * @param {string} [channel] - Channel to drop (default: all notifications)
+   * @returns {Object} The updated preferences
+   * @throws {NotFoundError} If the token is unknown
+   */
+  unsubscribe(token, channel) {
+    const preferences = Array.from(this.preferences.values()).find((other) =>
+      this.verifyCustomerToken(other.customer, token)
+    );
+    if (!token || !preferences) {
+      throw new NotFoundError("Unknown unsubscribe token", "TOKEN_NOT_FOUND");
+    }
+
+    console.log(
+      `[NotificationService] ${preferences.customer} unsubscribed from ${
+        channel || "all notifications"
+      }`
+    );
+    return this.updatePreferences(
+      preferences.customer,
+      channel
+        ? { channels: preferences.channels.filter((name) => name !== channel) }
+        : { unsubscribed: true }
+    );
+  }
+
+  /**
+   * Store preferences
+   * @param {Object} preferences - Preferences
+   * @returns {Object} The stored preferences
+   */
+  savePreferences(preferences) {
+    this.preferences.set(preferences.customer, preferences);
+    this.eventBus.emit("notification:preferences_updated", {
+      customer: preferences.customer,
+      preferences,
+    });
+    return preferences;
+  }
+
+  /**
+   * Notify a customer about an order event
+   * @param {string} event - Notification event (see NOTIFICATION_EVENTS)
+   * @param {Object} data - Event data, passed on to the channels
+   * @param {string} customer - Customer email address
+   * @returns {Promise<Object|null>} The notification once it's been sent,
+   *   skipped or deferred; null without a customer
+   */
+  async notify(event, data, customer) {
+    if (!customer) return null;
+
+    const preferences = this.getPreferences(customer);
+    if (!this.preferences.has(preferences.customer)) {
+      this.savePreferences(preferences);
+    }
+    const notification = {
+      notificationId: `NTF${this.notifications.size + 1}`,
+      type: STATUS_EVENTS.includes(event) ? "status_update" : event,
+      event,
+      orderId: data.orderId,
+      customer: preferences.customer,
+      data,
+      status: "pending",
+      deliveries: [],
+      createdAt: this.clock.now().toISOString(),
+    };
+    this.notifications.set(notification.notificationId, notification);
+
+    const now = this.clock.now();
+    if (!this.isWanted(notification, preferences)) {
+      return this.recordNotification(notification, "skipped");
+    }
+    if (isQuietTime(preferences.quietHours, now)) {
+      notification.deliverAt = getQuietHoursEnd(
+        preferences.quietHours,
+        now
+      ).toISOString();
+      this.scheduleDeferred(notification);
+      return this.recordNotification(notification, "deferred");
+    }
+    return this.dispatch(notification);
+  }
+
+  /**
+   * Check a customer still wants a notification, noting why not if they
+   * don't
+   * @param {Object} notification - Notification
+   * @param {Object} preferences - Customer preferences
+   * @returns {boolean} True if it should be delivered
+   */
+  isWanted(notification, preferences) {
+    if (preferences.unsubscribed) {
+      notification.reason = "Unsubscribed";
+    } else if (!preferences.events.includes(notification.event)) {
+      notification.reason = `Opted out of ${notification.event}`;
+    } else if (preferences.channels.length === 0) {
+      notification.reason = "No channels";
+    } else {
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Deliver a notification through each of the customer's channels
+   * @param {Object} notification - Notification
+   * @returns {Promise<Object>} The notification once every channel is done
+   */
+  async dispatch(notification) {
+    const preferences = this.getPreferences(notification.customer);
+    const token = this.getCustomerToken(notification.customer);
+    const message = {
+      notificationId: notification.notificationId,
+      type: notification.type,
+      event: notification.event,
+      orderId: notification.orderId,
+      customer: notification.customer,
+      data: notification.data,
+      preferences,
+      token,
+      unsubscribeUrl: `${this.unsubscribeUrl}/${encodeURIComponent(token)}`,
+    };
+
+    // Channels are started together; a failing channel doesn't stop the
+    // others
+    const deliveries = preferences.channels.map((name) =>
+      new Promise((resolve) => resolve(this.channels.get(name).notify(message)))
+        .then((result) => ({
+          channel: name,
+          status: "sent",
+          reference: result ? result.reference : null,
+        }))
+        .catch((error) => ({
+          channel: name,
+          status: "failed",
+          error: error.message,
+        }))
+        .then((delivery) => ({
+          ...delivery,
+          at: this.clock.now().toISOString(),
+        }))
+    );
+    notification.deliveries = await Promise.all(deliveries);
+
+    const sent = notification.deliveries.some(
+      (delivery) => delivery.status === "sent"
+    );
+    return this.recordNotification(notification, sent ? "sent" : "failed");
+  }
+
+  /**
+   * Store a notification's outcome and publish it
+   * @param {Object} notification - Notification
+   * @param {string} status - "sent", "failed", "skipped" or "deferred"
+   * @returns {Object} The notification
+   */
+  recordNotification(notification, status) {
+    notification.status = status;
+    this.notifications.set(notification.notificationId, notification);
+    console.log(
+      `[NotificationService] ${notification.notificationId} (${notification.event}) ${status}`
+    );
+    this.eventBus.emit(`notification:${status}`, { ...notification });
+    return notification;
+  }
+
+  /**
+   * Send a deferred notification when its customer's quiet hours end
+   * @param {Object} notification - Deferred notification with deliverAt
+   */
+  scheduleDeferred(notification) {
+    const { notificationId } = notification;
+    const delay = Math.max(
+      0,
+      Date.parse(notification.deliverAt) - this.clock.now().getTime()
+    );
+    const jobId = this.clock.schedule(
+      () => {
+        this.deferralTimers.delete(notificationId);
+        return this.sendDeferred(notificationId);
+      },
+      delay,
+      // Don't keep the process alive just to send a notification
+      { name: `send-notification:${notificationId}`, unref: true }
+    );
+    this.deferralTimers.set(notificationId, jobId);
+  }
+
+  /**
+   * Send a deferred notification now, unless the customer has since
+   * opted out
+   * @param {string} notificationId - Notification ID
+   * @returns {Promise<Object|null>} The notification, or null if it isn't
+   *   deferred
+   */
+  async sendDeferred(notificationId) {
+    const notification = this.notifications.get(notificationId);
+    if (!notification || notification.status !== "deferred") return null;
+
+    this.clock.cancel(this.deferralTimers.get(notificationId));
+    this.deferralTimers.delete(notificationId);
+    if (
+      !this.isWanted(notification, this.getPreferences(notification.customer))
+    ) {
+      return this.recordNotification(notification, "skipped");
+    }
+    return this.dispatch(notification);
+  }
+
+  /**
+   * Send deferred notifications whose quiet hours have ended and schedule
+   * the rest, e.g. after a restart
+   * @returns {Promise<Object[]>} The notifications that were due
+   */
+  sendDueNotifications() {
+    const due = [];
+    this.getNotifications({ status: "deferred" }).forEach((notification) => {
+      if (Date.parse(notification.deliverAt) <= this.clock.now().getTime()) {
+        due.push(this.sendDeferred(notification.notificationId));
+      } else if (!this.deferralTimers.has(notification.notificationId)) {
+        this.scheduleDeferred(notification);
+      }
+    });
+    return Promise.all(due);
+  }
+
+  /**
+   * Get a notification by ID
+   * @param {string} notificationId - Notification ID
+   * @returns {Object|undefined} Notification or undefined
+   */
+  getNotification(notificationId) {
+    return this.notifications.get(notificationId);
+  }
+
+  /**
+   * Get notifications, optionally filtered
+   * @param {Object} [filters] - { orderId, customer, status, channel },
+   *   where channel matches notifications that channel delivered
+   * @returns {Object[]} Array of notifications, oldest first
+   */
+  getNotifications(filters = {}) {
+    const customer = filters.customer && normalizeCustomer(filters.customer);
+    return Array.from(this.notifications.values()).filter(
+      (notification) =>
+        (!filters.orderId || notification.orderId === filters.orderId) &&
+        (!customer || notification.customer === customer) &&
+        (!filters.status || notification.status === filters.status) &&
+        (!filters.channel ||
+          notification.deliveries.some(
+            (delivery) =>
+              delivery.channel === filters.channel && delivery.status === "sent"
+          ))
+    );
+  }
+
+  /**
+   * Get notifications for an order
+   * @param {string} orderId - Order ID
+   * @returns {Object[]} Array of notifications
+   */
+  getNotificationsForOrder(orderId) {
+    return this.getNotifications({ orderId });
+  }
+}
+
+/**
+ * Preferences are keyed by lower-cased email address
+ * @param {string} customer - Customer email address
+ * @returns {string} Preference key
+ * @throws {ValidationError} If the address is missing
+ */
+function normalizeCustomer(customer) {
+  if (typeof customer !== "string" || !customer.includes("@")) {
+    throw new ValidationError(`Invalid customer email: ${customer}`);
+  }
+  return customer.trim().toLowerCase();
+}
+
+/**
+ * Check that a webhook URL is an absolute http(s) URL
+ * @param {*} value - URL to check
+ * @returns {boolean} True if it can be posted to
+ */
+function isWebhookUrl(value) {
+  try {
+    return ["http:", "https:"].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+}
+
+module.exports = NotificationService;
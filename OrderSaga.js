@@ -0,0 +1,353 @@
+const InMemoryRepository = require("./InMemoryRepository");
+const SystemClock = require("./SystemClock");
+
+/**
+ * OrderSaga - Process manager that coordinates the order lifecycle
+ * (reserve inventory → charge payment → ship → deliver) and runs
+ * compensating actions when a step fails
+ */
+class OrderSaga {
+  /**
+   * @param {EventBus} eventBus - Event bus
+   * @param {OrderService} orderService - Order service whose statuses the saga drives
+   * @param {Object} [options] - { requirePayment, repository, clock }
+   *   (repository default: in-memory, clock default: a SystemClock)
+   */
+  constructor(eventBus, orderService, options = {}) {
+    this.eventBus = eventBus;
+    this.clock = options.clock || new SystemClock();
+    this.orderService = orderService;
+    this.requirePayment = options.requirePayment || false;
+    this.sagas = options.repository || new InMemoryRepository();
+
+    // Bind methods to preserve 'this' context
+    this.handleOrderCreated = this.handleOrderCreated.bind(this);
+    this.handleInventoryReserved = this.handleInventoryReserved.bind(this);
+    this.handleInventoryUnavailable =
+      this.handleInventoryUnavailable.bind(this);
+    this.handleOutOfStock = this.handleOutOfStock.bind(this);
+    this.handleReservationExpired = this.handleReservationExpired.bind(this);
+    this.handlePaymentAuthorized = this.handlePaymentAuthorized.bind(this);
+    this.handlePaymentFailed = this.handlePaymentFailed.bind(this);
+    this.handleCaptureFailed = this.handleCaptureFailed.bind(this);
+    this.handleShipped = this.handleShipped.bind(this);
+    this.handleShippingFailed = this.handleShippingFailed.bind(this);
+    this.handleDelivered = this.handleDelivered.bind(this);
+    this.handleCancelled = this.handleCancelled.bind(this);
+
+    // Register event listeners
+    // High priority so the saga exists before services react to the order
+    this.eventBus.on("order:created", this.handleOrderCreated, {
+      priority: 100,
+    });
+    this.eventBus.on("order:inventory_reserved", this.handleInventoryReserved);
+    this.eventBus.on(
+      "order:inventory_unavailable",
+      this.handleInventoryUnavailable
+    );
+    this.eventBus.on("order:out_of_stock", this.handleOutOfStock);
+    this.eventBus.on(
+      "inventory:reservation_expired",
+      this.handleReservationExpired
+    );
+    this.eventBus.on("payment:authorized", this.handlePaymentAuthorized);
+    this.eventBus.on("payment:failed", this.handlePaymentFailed);
+    this.eventBus.on("payment:capture_failed", this.handleCaptureFailed);
+    this.eventBus.on("order:shipped", this.handleShipped);
+    this.eventBus.on("shipping:failed", this.handleShippingFailed);
+    this.eventBus.on("order:delivered", this.handleDelivered);
+    this.eventBus.on("order:cancelled", this.handleCancelled);
+
+    // Rebuild sagas from the event log. Saga events carry the whole
+    // saga, so the latest one wins.
+    const restoreSaga = (saga) => this.sagas.set(saga.orderId, saga);
+    [
+      "saga:started",
+      "saga:step_completed",
+      "saga:completed",
+      "saga:failed",
+      "saga:cancelled",
+    ].forEach((eventName) => this.eventBus.onReplay(eventName, restoreSaga));
+  }
+
+  /**
+   * Get the saga for an order, starting one if it doesn't exist yet
+   * @param {string} orderId - Order ID
+   * @returns {Object} Saga state
+   */
+  ensureSaga(orderId) {
+    let saga = this.sagas.get(orderId);
+    if (!saga) {
+      saga = {
+        orderId,
+        status: "running",
+        currentStep: "inventory",
+        completedSteps: [],
+        compensations: [],
+        startedAt: this.clock.now().toISOString(),
+      };
+      this.sagas.set(orderId, saga);
+      this.eventBus.emit("saga:started", { ...saga });
+    }
+    return saga;
+  }
+
+  /**
+   * Get a running saga, or undefined if the order has none or it has
+   * already finished. Only "order:created" starts sagas, so events for
+   * unknown orders are ignored.
+   * @param {string} orderId - Order ID
+   * @returns {Object|undefined} Running saga state
+   */
+  getRunningSaga(orderId) {
+    const saga = this.sagas.get(orderId);
+    return saga && saga.status === "running" ? saga : undefined;
+  }
+
+  /**
+   * Mark a step as completed and move on to the next one
+   * @param {Object} saga - Saga state
+   * @param {string} step - Completed step
+   * @param {string|null} nextStep - Next step, or null when finished
+   */
+  advance(saga, step, nextStep) {
+    saga.completedSteps.push(step);
+    saga.currentStep = nextStep;
+    saga.updatedAt = this.clock.now().toISOString();
+    this.sagas.set(saga.orderId, saga);
+    this.eventBus.emit("saga:step_completed", { ...saga });
+  }
+
+  /**
+   * Start the saga for a new order
+   * @param {Object} orderData - Order information
+   */
+  handleOrderCreated(orderData) {
+    this.ensureSaga(orderData.orderId);
+  }
+
+  /**
+   * Inventory reserved - charge payment or go straight to shipping
+   * @param {Object} orderData - Order information
+   */
+  handleInventoryReserved(orderData) {
+    const saga = this.getRunningSaga(orderData.orderId);
+    if (!saga) return;
+
+    const nextStep = this.requirePayment ? "payment" : "shipping";
+    this.advance(saga, "inventory", nextStep);
+    this.orderService.updateOrderStatus(orderData.orderId, "reserved");
+    this.eventBus.emit(`${nextStep}:requested`, orderData);
+  }
+
+  /**
+   * Item does not exist - nothing to compensate
+   * @param {Object} orderData - Order information
+   */
+  handleInventoryUnavailable(orderData) {
+    const items = (orderData.unavailableItems || []).join(", ");
+    this.fail(orderData.orderId, `Item unavailable: ${items}`);
+  }
+
+  /**
+   * Item is out of stock - nothing to compensate
+   * @param {Object} orderData - Order information
+   */
+  handleOutOfStock(orderData) {
+    const items = (orderData.outOfStockItems || [])
+      .map((line) => line.item)
+      .join(", ");
+    this.fail(orderData.orderId, `Item out of stock: ${items}`);
+  }
+
+  /**
+   * Reservation expired before the order was paid - the stock is
+   * already back in inventory
+   * @param {Object} data - Expiry information
+   */
+  handleReservationExpired(data) {
+    this.fail(data.orderId, "Reservation expired");
+  }
+
+  /**
+   * Payment authorized - request shipping, or release the authorization
+   * if the order failed while the gateway was answering (e.g. its
+   * reservation expired)
+   * @param {Object} paymentData - Payment information including order data
+   */
+  handlePaymentAuthorized(paymentData) {
+    const failed = this.getSaga(paymentData.orderId);
+    if (failed && failed.status === "failed") {
+      this.compensate(failed, "payment", failed.error);
+      this.sagas.set(failed.orderId, failed);
+      return;
+    }
+
+    const saga = this.getRunningSaga(paymentData.orderId);
+    if (!saga || saga.currentStep !== "payment") return;
+
+    this.advance(saga, "payment", "shipping");
+    this.orderService.updateOrderStatus(paymentData.orderId, "paid");
+    this.eventBus.emit("shipping:requested", paymentData);
+  }
+
+  /**
+   * Payment declined - release the reservation
+   * @param {Object} paymentData - Payment information
+   */
+  handlePaymentFailed(paymentData) {
+    this.fail(
+      paymentData.orderId,
+      `Payment failed: ${paymentData.reason || "declined"}`
+    );
+  }
+
+  /**
+   * Payment couldn't be captured after shipping (PaymentService has
+   * already retried) - fail the order and release the authorization
+   * @param {Object} paymentData - Capture failure information
+   */
+  handleCaptureFailed(paymentData) {
+    this.fail(
+      paymentData.orderId,
+      `Payment capture failed: ${paymentData.reason || "unknown error"}`
+    );
+  }
+
+  /**
+   * Order shipped - wait for delivery
+   * @param {Object} shipmentData - Shipment information
+   */
+  handleShipped(shipmentData) {
+    const saga = this.getRunningSaga(shipmentData.orderId);
+    if (!saga || saga.currentStep !== "shipping") return;
+
+    this.advance(saga, "shipping", "delivery");
+    this.orderService.updateOrderStatus(shipmentData.orderId, "shipped");
+  }
+
+  /**
+   * Shipping failed - refund and release the reservation
+   * @param {Object} shipmentData - Failure information
+   */
+  handleShippingFailed(shipmentData) {
+    this.fail(
+      shipmentData.orderId,
+      `Shipping failed: ${shipmentData.reason || "unknown error"}`
+    );
+  }
+
+  /**
+   * Order delivered - saga completed
+   * @param {Object} shipmentData - Shipment information
+   */
+  handleDelivered(shipmentData) {
+    const saga = this.getRunningSaga(shipmentData.orderId);
+    if (!saga || saga.currentStep !== "delivery") return;
+
+    this.advance(saga, "delivery", null);
+    saga.status = "completed";
+    saga.completedAt = saga.updatedAt;
+    this.sagas.set(saga.orderId, saga);
+    this.orderService.updateOrderStatus(shipmentData.orderId, "delivered");
+    this.eventBus.emit("saga:completed", { ...saga });
+  }
+
+  /**
+   * Order cancelled - stop the saga. Services undo their own work when
+   * they see "order:cancelled", so no compensation is emitted here.
+   * @param {Object} data - Cancellation information
+   */
+  handleCancelled(data) {
+    const saga = this.getRunningSaga(data.orderId);
+    if (!saga) return;
+
+    saga.status = "cancelled";
+    saga.cancelledStep = saga.currentStep;
+    saga.currentStep = null;
+    saga.updatedAt = this.clock.now().toISOString();
+    this.sagas.set(saga.orderId, saga);
+    this.eventBus.emit("saga:cancelled", { ...saga });
+  }
+
+  /**
+   * Fail the saga: undo completed steps in reverse order and move the
+   * order to its terminal "failed" status
+   * @param {string} orderId - Order ID
+   * @param {string} reason - Failure reason
+   */
+  fail(orderId, reason) {
+    const saga = this.getRunningSaga(orderId);
+    if (!saga) return;
+
+    const failedStep = saga.currentStep;
+    [...saga.completedSteps].reverse().forEach((step) => {
+      this.compensate(saga, step, reason);
+    });
+
+    saga.status = "failed";
+    saga.failedStep = failedStep;
+    saga.error = reason;
+    saga.currentStep = null;
+    saga.updatedAt = this.clock.now().toISOString();
+    this.sagas.set(orderId, saga);
+
+    console.log(
+      `[OrderSaga] Order ${orderId} failed at ${failedStep}: ${reason}`
+    );
+    this.orderService.updateOrderStatus(orderId, "failed", reason);
+    this.eventBus.emit("saga:failed", { ...saga });
+  }
+
+  /**
+   * Run the compensating action for a completed step
+   * @param {Object} saga - Saga state
+   * @param {string} step - Step to compensate
+   * @param {string} reason - Why the saga is compensating
+   */
+  compensate(saga, step, reason) {
+    const compensations = {
+      inventory: "inventory:release_requested",
+      payment: "payment:refund_requested",
+    };
+    const eventName = compensations[step];
+    if (!eventName) return;
+    // Shipped stock has left the warehouse, so it isn't released
+    if (step === "inventory" && saga.completedSteps.includes("shipping")) {
+      return;
+    }
+
+    saga.compensations.push(step);
+    this.eventBus.emit(eventName, { orderId: saga.orderId, reason });
+  }
+
+  /**
+   * Get saga state for an order
+   * @param {string} orderId - Order ID
+   * @returns {Object|undefined} Saga state or undefined
+   */
+  getSaga(orderId) {
+    return this.sagas.get(orderId);
+  }
+
+  /**
+   * Get all sagas
+   * @returns {Object[]} Array of all sagas
+   */
+  getAllSagas() {
+    return Array.from(this.sagas.values());
+  }
+
+  /**
+   * Get sagas by status
+   * @param {string} status - Status to filter by
+   * @returns {Object[]} Array of sagas with matching status
+   */
+  getSagasByStatus(status) {
+    return Array.from(this.sagas.values()).filter(
+      (saga) => saga.status === status
+    );
+  }
+}
+
+module.exports = OrderSaga;
@@ -1,33 +1,102 @@
+const { getOrderLines } = require("./orderLines");
+const { canTransition } = require("./orderStateMachine");
+const { validateShippingOptions } = require("./shippingOptions");
+const { isEmailAddress } = require("./mimeMessage");
+const {
+  ValidationError,
+  DuplicateOrderError,
+  OrderNotFoundError,
+  InvalidTransitionError,
+} = require("./errors");
+const InMemoryRepository = require("./InMemoryRepository");
+const SystemClock = require("./SystemClock");
+
 /**
  * OrderService - Handles order creation, validation, and management
  */
 class OrderService {
-  constructor(eventBus) {
+  /**
+   * @param {EventBus} eventBus - Event bus
+   * @param {Object} [repositories] - Storage for { orders } (default: in-memory)
+   * @param {PricingEngine} [pricingEngine] - Prices new orders; without one
+   *   orders carry no pricing breakdown
+   * @param {CatalogService} [catalog] - Checks ordered SKUs exist and can
+   *   be ordered; without one any item is accepted
+   * @param {Object} [options] - { clock } for timestamps (default: a
+   *   SystemClock)
+   */
+  constructor(
+    eventBus,
+    repositories = {},
+    pricingEngine = null,
+    catalog = null,
+    options = {}
+  ) {
     this.eventBus = eventBus;
-    this.orders = new Map(); // Store orders with better data structure
+    this.clock = options.clock || new SystemClock();
+    this.orders = repositories.orders || new InMemoryRepository();
+    this.pricingEngine = pricingEngine;
+    this.catalog = catalog;
+
+    this.registerReplayHandlers();
+  }
+
+  /**
+   * Rebuild orders from the event log. Status updates carry a snapshot
+   * of the whole order, so the latest one wins.
+   */
+  registerReplayHandlers() {
+    this.eventBus.onReplay("order:created", (order) => {
+      this.orders.set(order.orderId, order);
+    });
+    this.eventBus.onReplay("order:status_updated", (data) => {
+      this.orders.set(data.orderId, data.order);
+    });
   }
 
   /**
    * Create a new order with validation and enrichment
-   * @param {Object} orderData - Raw order data
-   * @returns {Object} Enriched order object
+   * @param {Object} orderData - Raw order data with either `lines`
+   *   ([{ item, quantity }], where item is a SKU) or a single `item`, and
+   *   an optional `couponCode`
+   * @returns {Object} Enriched order object, including a `pricing`
+   *   breakdown in cents when a pricing engine is configured
+   * @throws {ValidationError} If required fields, lines or the coupon are
+   *   invalid, or a SKU is unknown or can't be ordered
+   * @throws {DuplicateOrderError} If the order ID is already taken
    */
   createOrder(orderData) {
     // Validate order data
-    if (!orderData.orderId || !orderData.email || !orderData.item) {
-      throw new Error("Missing required order fields: orderId, email, item");
+    const lines = getOrderLines(orderData);
+    if (!orderData.orderId || !orderData.email || lines.length === 0) {
+      throw new ValidationError(
+        "Missing required order fields: orderId, email, item or lines"
+      );
+    }
+    if (!isEmailAddress(orderData.email)) {
+      throw new ValidationError(`Invalid email address: ${orderData.email}`);
     }
 
+    validateShippingOptions(orderData);
+
     // Check for duplicate order ID
     if (this.orders.has(orderData.orderId)) {
-      throw new Error(`Order ${orderData.orderId} already exists`);
+      throw new DuplicateOrderError(orderData.orderId);
     }
 
-    // Add timestamp and status
+    // Add normalized lines, pricing, timestamp, status and status history
+    const normalizedLines = this.normalizeLines(lines);
+    const pricing = this.pricingEngine
+      ? this.pricingEngine.priceOrder({ ...orderData, lines: normalizedLines })
+      : undefined;
+    const timestamp = this.clock.now().toISOString();
     const enrichedOrder = {
       ...orderData,
-      timestamp: new Date().toISOString(),
+      lines: normalizedLines,
+      ...(pricing && { pricing }),
+      timestamp,
       status: "created",
+      statusHistory: [{ status: "created", timestamp }],
     };
 
     // Store the order
@@ -39,6 +108,45 @@ class OrderService {
     return enrichedOrder;
   }
 
+  /**
+   * Validate order lines and normalize them to { item, quantity, unitPrice },
+   * plus the product `name` when there's a catalog. Lines may give the
+   * SKU as `sku` instead of `item`. The unit price is a snapshot of the
+   * catalog price (null without a catalog, in which case inventory prices
+   * the line when it's reserved); prices sent with the order are ignored.
+   * @param {Object[]} lines - Requested order lines
+   * @returns {Object[]} Normalized order lines
+   */
+  normalizeLines(lines) {
+    return lines.map((line, index) => {
+      if (!line || typeof line !== "object") {
+        throw new ValidationError(`Order line ${index + 1} must be an object`);
+      }
+      const reference = line.sku || line.item;
+      if (!reference) {
+        throw new ValidationError(`Order line ${index + 1} is missing an item`);
+      }
+
+      const quantity = line.quantity === undefined ? 1 : line.quantity;
+      if (!Number.isInteger(quantity) || quantity < 1) {
+        throw new ValidationError(
+          `Order line ${index + 1} has an invalid quantity: ${line.quantity}`
+        );
+      }
+
+      if (!this.catalog) {
+        return { item: reference, quantity, unitPrice: null };
+      }
+      const sellable = this.catalog.getOrderable(reference);
+      return {
+        item: sellable.sku,
+        name: sellable.name,
+        quantity,
+        unitPrice: sellable.price,
+      };
+    });
+  }
+
   /**
    * Get a specific order by ID
    * @param {string} orderId - Order ID to retrieve
@@ -57,17 +165,71 @@ class OrderService {
   }
 
   /**
-   * Update order status
+   * Update order status, enforcing the order state machine
    * @param {string} orderId - Order ID to update
    * @param {string} status - New status
+   * @param {string} [reason] - Optional reason for the change (e.g. a failure)
+   * @throws {OrderNotFoundError} If the order doesn't exist
+   * @throws {InvalidTransitionError} If the transition isn't allowed
    */
-  updateOrderStatus(orderId, status) {
+  updateOrderStatus(orderId, status, reason) {
     const order = this.orders.get(orderId);
-    if (order) {
-      order.status = status;
-      order.lastUpdated = new Date().toISOString();
-      this.eventBus.emit("order:status_updated", { orderId, status, order });
+    if (!order) {
+      throw new OrderNotFoundError(orderId);
+    }
+    if (!canTransition(order.status, status)) {
+      throw new InvalidTransitionError(orderId, order.status, status);
     }
+
+    const timestamp = this.clock.now().toISOString();
+    order.status = status;
+    order.lastUpdated = timestamp;
+    if (reason) {
+      order.statusReason = reason;
+    }
+    order.statusHistory.push(
+      reason ? { status, timestamp, reason } : { status, timestamp }
+    );
+    this.orders.set(orderId, order);
+
+    this.eventBus.emit("order:status_updated", {
+      orderId,
+      status,
+      reason,
+      order,
+    });
+  }
+
+  /**
+   * Get the status history of an order
+   * @param {string} orderId - Order ID
+   * @returns {Object[]} Array of { status, timestamp, reason } entries, oldest first
+   * @throws {OrderNotFoundError} If the order doesn't exist
+   */
+  getOrderHistory(orderId) {
+    const order = this.orders.get(orderId);
+    if (!order) {
+      throw new OrderNotFoundError(orderId);
+    }
+    return order.statusHistory.map((entry) => ({ ...entry }));
+  }
+
+  /**
+   * Cancel an order that hasn't shipped yet
+   * @param {string} orderId - Order ID to cancel
+   * @param {string} [reason] - Cancellation reason
+   * @returns {Object} Cancelled order
+   * @throws {OrderNotFoundError} If the order doesn't exist
+   * @throws {InvalidTransitionError} If the order can no longer be cancelled
+   */
+  cancelOrder(orderId, reason) {
+    // The state machine only allows cancellation before shipping
+    this.updateOrderStatus(orderId, "cancelled", reason);
+    const order = this.orders.get(orderId);
+    console.log(`[OrderService] Order cancelled: ${orderId}`);
+    this.eventBus.emit("order:cancelled", { orderId, reason, order });
+
+    return order;
   }
 
   /**
@@ -0,0 +1,344 @@
+const { getOrderLines } = require("./orderLines");
+const { toCents, formatMoney } = require("./money");
+const InMemoryRepository = require("./InMemoryRepository");
+const FakePaymentGateway = require("./FakePaymentGateway");
+const SystemClock = require("./SystemClock");
+
+const CAPTURE_RETRY_POLICY = { attempts: 3, delay: 1000, factor: 2 };
+
+/**
+ * PaymentService - Authorizes, captures and refunds order payments
+ * through a pluggable payment gateway. Amounts are integer cents.
+ */
+class PaymentService {
+  /**
+   * @param {EventBus} eventBus - Event bus
+   * @param {Object} [repositories] - Storage for { payments } (default: in-memory)
+   * @param {Object} [gateway] - Payment gateway (default: FakePaymentGateway).
+   *   See FakePaymentGateway for the interface.
+   * @param {Object} [options] - Payment options
+   * @param {Object} [options.captureRetry] - Retry policy for failed
+   *   captures: { attempts, delay, factor } (default: 3 attempts, 1s
+   *   doubling)
+   * @param {Object} [options.clock] - Clock for timestamps and capture
+   *   retries (default: a SystemClock)
+   */
+  constructor(
+    eventBus,
+    repositories = {},
+    gateway = new FakePaymentGateway(),
+    options = {}
+  ) {
+    this.eventBus = eventBus;
+    this.clock = options.clock || new SystemClock();
+    this.payments = repositories.payments || new InMemoryRepository();
+    this.gateway = gateway;
+    this.captureRetry = { ...CAPTURE_RETRY_POLICY, ...options.captureRetry };
+    this.currency = "USD";
+
+    // Bind methods to preserve 'this' context
+    this.authorizePayment = this.authorizePayment.bind(this);
+    this.capturePayment = this.capturePayment.bind(this);
+    this.handleRefundRequest = this.handleRefundRequest.bind(this);
+    this.handleCancellation = this.handleCancellation.bind(this);
+    this.handleReturn = this.handleReturn.bind(this);
+
+    // Register event listeners - the saga requests payment once
+    // inventory is reserved
+    this.eventBus.on("payment:requested", this.authorizePayment);
+    this.eventBus.on("order:shipped", this.capturePayment);
+    this.eventBus.on("payment:refund_requested", this.handleRefundRequest);
+    this.eventBus.on("order:cancelled", this.handleCancellation);
+    this.eventBus.on("order:status_updated", this.handleReturn, {
+      filter: (data) => data.status === "returned",
+    });
+
+    // Every payment event carries a snapshot of the payment
+    const restorePayment = (data) => {
+      this.payments.set(data.orderId, data.payment);
+    };
+    [
+      "payment:authorized",
+      "payment:failed",
+      "payment:captured",
+      "payment:capture_failed",
+      "payment:refunded",
+    ].forEach((eventName) => this.eventBus.onReplay(eventName, restorePayment));
+  }
+
+  /**
+   * Calculate the amount to charge for an order: its priced total, or
+   * the sum of its reserved lines for orders without pricing
+   * @param {Object} orderData - Order information with reserved lines
+   * @returns {number} Amount in cents
+   */
+  calculateAmount(orderData) {
+    if (orderData.pricing) {
+      return orderData.pricing.total;
+    }
+    return getOrderLines(orderData).reduce(
+      (sum, line) => sum + line.quantity * toCents(line.unitPrice || 0),
+      0
+    );
+  }
+
+  /**
+   * Authorize payment for a reserved order
+   * @param {Object} orderData - Order information with reserved lines
+   */
+  async authorizePayment(orderData) {
+    const { orderId } = orderData;
+    const payment = {
+      orderId,
+      amount: this.calculateAmount(orderData),
+      currency: orderData.pricing ? orderData.pricing.currency : this.currency,
+      status: "pending",
+      requestedAt: this.clock.now().toISOString(),
+    };
+    this.payments.set(orderId, payment);
+
+    let result;
+    try {
+      result = await this.gateway.authorize({
+        orderId,
+        amount: payment.amount,
+        currency: payment.currency,
+        cardToken: orderData.cardToken,
+      });
+    } catch (error) {
+      result = { approved: false, reason: error.message };
+    }
+
+    if (!result.approved) {
+      payment.status = "declined";
+      payment.reason = result.reason || "declined";
+      this.payments.set(orderId, payment);
+      console.log(
+        `[PaymentService] Payment declined for order ${orderId}: ${payment.reason}`
+      );
+      this.eventBus.emit("payment:failed", {
+        orderId,
+        reason: payment.reason,
+        payment: { ...payment },
+      });
+      return;
+    }
+
+    payment.status = "authorized";
+    payment.transactionId = result.transactionId;
+    payment.authorizedAt = this.clock.now().toISOString();
+    this.payments.set(orderId, payment);
+
+    // The order was cancelled while the gateway was deciding
+    if (payment.refundRequested) {
+      await this.refundPayment(orderId, payment.refundRequested);
+      return;
+    }
+
+    console.log(
+      `[PaymentService] Payment authorized for order ${orderId}: ${formatMoney(
+        payment.amount,
+        payment.currency
+      )}`
+    );
+    this.eventBus.emit("payment:authorized", {
+      ...orderData,
+      payment: { ...payment },
+    });
+  }
+
+  /**
+   * Capture the authorized payment once the order ships, retrying failed
+   * captures with backoff. If every attempt fails the payment stays
+   * authorized, so the saga's compensation can release it.
+   * @param {Object} shipmentData - Shipment information
+   */
+  async capturePayment(shipmentData) {
+    const { orderId } = shipmentData;
+    const payment = this.payments.get(orderId);
+    if (!payment || payment.status !== "authorized") return;
+
+    payment.status = "capturing";
+    for (let attempts = 1; ; attempts++) {
+      let result;
+      try {
+        result = await this.gateway.capture(
+          payment.transactionId,
+          payment.amount
+        );
+      } catch (error) {
+        result = { success: false, reason: error.message };
+      }
+      if (result.success) break;
+
+      console.log(
+        `[PaymentService] Capture failed for order ${orderId} (attempt ${attempts}): ${result.reason}`
+      );
+      if (attempts >= this.captureRetry.attempts) {
+        payment.status = "authorized";
+        payment.reason = result.reason;
+        this.payments.set(orderId, payment);
+        this.eventBus.emit("payment:capture_failed", {
+          orderId,
+          reason: result.reason,
+          payment: { ...payment },
+        });
+        return;
+      }
+      const delay =
+        this.captureRetry.delay *
+        Math.pow(this.captureRetry.factor, attempts - 1);
+      await new Promise((resolve) =>
+        this.clock.schedule(resolve, delay, {
+          name: `retry-capture:${orderId}`,
+        })
+      );
+    }
+
+    payment.status = "captured";
+    payment.capturedAt = this.clock.now().toISOString();
+    this.payments.set(orderId, payment);
+    console.log(`[PaymentService] Payment captured for order ${orderId}`);
+    this.eventBus.emit("payment:captured", {
+      orderId,
+      amount: payment.amount,
+      payment: { ...payment },
+    });
+  }
+
+  /**
+   * Handle a refund request (e.g. saga compensation or a received return)
+   * @param {Object} data - Refund request with orderId, reason and an
+   *   optional amount in cents (default: everything not yet refunded)
+   */
+  handleRefundRequest(data) {
+    return this.refundPayment(data.orderId, data.reason, data.amount);
+  }
+
+  /**
+   * Handle order cancellation - give the money back
+   * @param {Object} data - Cancellation information
+   */
+  handleCancellation(data) {
+    return this.refundPayment(data.orderId, data.reason || "Order cancelled");
+  }
+
+  /**
+   * Handle an order moving to "returned" - refund whatever partial
+   * refunds haven't covered yet
+   * @param {Object} data - Status update information
+   */
+  handleReturn(data) {
+    return this.refundPayment(data.orderId, data.reason || "Order returned");
+  }
+
+  /**
+   * Refund a captured payment (in full or in part), or release an
+   * uncaptured authorization. A payment still waiting on the gateway is
+   * refunded as soon as it's authorized.
+   * @param {string} orderId - Order ID
+   * @param {string} reason - Why the payment is refunded
+   * @param {number} [amount] - Amount in cents to refund (default: everything
+   *   not yet refunded). Uncaptured authorizations are always released in full.
+   * @returns {Promise<boolean>} True if the payment was refunded
+   */
+  async refundPayment(orderId, reason, amount) {
+    const payment = this.payments.get(orderId);
+    if (!payment) return false;
+
+    if (payment.status === "pending") {
+      payment.refundRequested = reason;
+      this.payments.set(orderId, payment);
+      return false;
+    }
+    const previousStatus = payment.status;
+    if (
+      !["authorized", "captured", "partially_refunded"].includes(previousStatus)
+    ) {
+      return false;
+    }
+
+    const captured = previousStatus !== "authorized";
+    const alreadyRefunded = payment.refundedAmount || 0;
+    const remaining = payment.amount - alreadyRefunded;
+    const refundAmount = captured
+      ? Math.min(amount === undefined ? remaining : amount, remaining)
+      : payment.amount;
+    if (refundAmount <= 0) return false;
+
+    payment.status = "refunding";
+    let result;
+    try {
+      result = await this.gateway.refund(payment.transactionId, refundAmount);
+    } catch (error) {
+      result = { success: false, reason: error.message };
+    }
+
+    if (!result.success) {
+      payment.status = previousStatus;
+      payment.reason = result.reason;
+      this.payments.set(orderId, payment);
+      console.log(
+        `[PaymentService] Refund failed for order ${orderId}: ${result.reason}`
+      );
+      this.eventBus.emit("payment:refund_failed", {
+        orderId,
+        reason: result.reason,
+      });
+      return false;
+    }
+
+    payment.refundedAmount = alreadyRefunded + refundAmount;
+    payment.status =
+      payment.refundedAmount < payment.amount
+        ? "partially_refunded"
+        : "refunded";
+    payment.refundedAt = this.clock.now().toISOString();
+    payment.refundReason = reason;
+    this.payments.set(orderId, payment);
+    console.log(
+      `[PaymentService] ${formatMoney(
+        refundAmount,
+        payment.currency
+      )} refunded for order ${orderId}`
+    );
+    this.eventBus.emit("payment:refunded", {
+      orderId,
+      amount: refundAmount,
+      captured,
+      reason,
+      payment: { ...payment },
+    });
+    return true;
+  }
+
+  /**
+   * Get payment information for an order
+   * @param {string} orderId - Order ID
+   * @returns {Object|undefined} Payment or undefined
+   */
+  getPayment(orderId) {
+    return this.payments.get(orderId);
+  }
+
+  /**
+   * Get all payments
+   * @returns {Object[]} Array of all payments
+   */
+  getAllPayments() {
+    return Array.from(this.payments.values());
+  }
+
+  /**
+   * Get payments by status
+   * @param {string} status - Status to filter by
+   * @returns {Object[]} Array of payments with matching status
+   */
+  getPaymentsByStatus(status) {
+    return Array.from(this.payments.values()).filter(
+      (payment) => payment.status === status
+    );
+  }
+}
+
+module.exports = PaymentService;
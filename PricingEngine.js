@@ -0,0 +1,197 @@
+const { toCents } = require("./money");
+const { getAddressRegion } = require("./addresses");
+const { ValidationError } = require("./errors");
+
+const DEFAULT_COUPONS = {
+  SAVE10: { type: "percentage", value: 10 },
+  WELCOME5: { type: "fixed", value: 500 },
+};
+
+// Sales tax in basis points (725 = 7.25%), keyed by the region at the
+// end of the shipping address. "*" applies to every other region.
+const DEFAULT_TAX_RULES = {
+  CA: 725,
+  TX: 625,
+  WA: 650,
+  "*": 0,
+};
+
+// Shipping in cents per service level (see shippingOptions). Standard
+// shipping is free on orders of at least freeOver after discounts.
+const DEFAULT_SHIPPING = {
+  rates: { standard: 999, express: 1999, overnight: 3499 },
+  freeOver: 50000,
+};
+
+/**
+ * PricingEngine - Prices orders: subtotal, discount codes, regional tax,
+ * shipping and a grand total. Every amount is integer cents.
+ */
+class PricingEngine {
+  /**
+   * @param {Object} [options] - Pricing rules
+   * @param {Function} [options.getUnitPrice] - (item) => catalog price in
+   *   major units, or undefined for unknown items
+   * @param {Object} [options.coupons] - Code → { type: "percentage"|"fixed",
+   *   value (percent or cents), minSubtotal (cents) }
+   * @param {Object} [options.taxRules] - Region → tax rate in basis points
+   * @param {Object} [options.shipping] - { rates: { [serviceLevel]: cents },
+   *   freeOver } - rates are merged into the defaults
+   * @param {string} [options.currency] - ISO currency code (default: USD)
+   */
+  constructor(options = {}) {
+    this.getUnitPrice = options.getUnitPrice || (() => undefined);
+    this.coupons = options.coupons || DEFAULT_COUPONS;
+    this.taxRules = options.taxRules || DEFAULT_TAX_RULES;
+    const shipping = options.shipping || {};
+    this.shipping = {
+      ...DEFAULT_SHIPPING,
+      ...shipping,
+      rates: { ...DEFAULT_SHIPPING.rates, ...shipping.rates },
+    };
+    this.currency = options.currency || "USD";
+  }
+
+  /**
+   * Price an order
+   * @param {Object} orderData - Order with normalized lines, and optionally
+   *   an address, couponCode and serviceLevel (default: "standard")
+   * @returns {Object} { currency, lines, subtotal, couponCode, discount,
+   *   taxRegion, taxRate, tax, serviceLevel, shipping, total }
+   * @throws {ValidationError} For items without a price, unknown coupons or
+   *   service levels without a shipping rate
+   */
+  priceOrder(orderData) {
+    const lines = orderData.lines.map((line) => {
+      const unitPrice = this.getLineUnitPrice(line);
+      return {
+        item: line.item,
+        quantity: line.quantity,
+        unitPrice,
+        total: unitPrice * line.quantity,
+      };
+    });
+    const subtotal = lines.reduce((sum, line) => sum + line.total, 0);
+
+    const couponCode = orderData.couponCode || null;
+    const discount = this.calculateDiscount(couponCode, subtotal);
+    const taxRegion = this.getTaxRegion(orderData.address);
+    const taxRate = this.getTaxRate(taxRegion);
+    const tax = Math.round(((subtotal - discount) * taxRate) / 10000);
+    const serviceLevel = orderData.serviceLevel || "standard";
+    const shipping = this.calculateShipping(serviceLevel, subtotal - discount);
+
+    return {
+      currency: this.currency,
+      lines,
+      subtotal,
+      couponCode,
+      discount,
+      taxRegion,
+      taxRate,
+      tax,
+      serviceLevel,
+      shipping,
+      total: subtotal - discount + tax + shipping,
+    };
+  }
+
+  /**
+   * Get a line's unit price in cents from the catalog. Prices on the line
+   * itself are ignored: they come from the client.
+   * @param {Object} line - Order line
+   * @returns {number} Unit price in cents
+   * @throws {ValidationError} If the item has no price
+   */
+  getLineUnitPrice(line) {
+    const price = this.getUnitPrice(line.item);
+    if (typeof price !== "number") {
+      throw new ValidationError(`No price for item: ${line.item}`);
+    }
+    return toCents(price);
+  }
+
+  /**
+   * Calculate the discount for a coupon code
+   * @param {string|null} couponCode - Coupon code, if any
+   * @param {number} subtotal - Subtotal in cents
+   * @returns {number} Discount in cents, never more than the subtotal
+   * @throws {ValidationError} If the code is unknown or the order too small
+   */
+  calculateDiscount(couponCode, subtotal) {
+    if (!couponCode) return 0;
+
+    const coupon = hasOwn(this.coupons, couponCode)
+      ? this.coupons[couponCode]
+      : null;
+    if (!coupon) {
+      throw new ValidationError(`Unknown coupon code: ${couponCode}`);
+    }
+    if (coupon.minSubtotal && subtotal < coupon.minSubtotal) {
+      throw new ValidationError(
+        `Coupon ${couponCode} requires a subtotal of at least ${coupon.minSubtotal} cents`
+      );
+    }
+
+    const discount =
+      coupon.type === "percentage"
+        ? Math.round((subtotal * coupon.value) / 100)
+        : coupon.value;
+    return Math.min(discount, subtotal);
+  }
+
+  /**
+   * Calculate shipping for a service level
+   * @param {string} serviceLevel - "standard", "express" or "overnight"
+   * @param {number} amount - Discounted subtotal in cents
+   * @returns {number} Shipping in cents
+   * @throws {ValidationError} If the service level has no rate
+   */
+  calculateShipping(serviceLevel, amount) {
+    const rate = hasOwn(this.shipping.rates, serviceLevel)
+      ? this.shipping.rates[serviceLevel]
+      : undefined;
+    if (typeof rate !== "number") {
+      throw new ValidationError(`No shipping rate for ${serviceLevel}`);
+    }
+    if (serviceLevel === "standard" && amount >= this.shipping.freeOver) {
+      return 0;
+    }
+    return rate;
+  }
+
+  /**
+   * Get the tax region from a shipping address (see getAddressRegion)
+   * @param {string|Object} [address] - Shipping address
+   * @returns {string|null} Region code, or null without an address
+   */
+  getTaxRegion(address) {
+    return getAddressRegion(address);
+  }
+
+  /**
+   * Get the tax rate for a region
+   * @param {string|null} region - Region code
+   * @returns {number} Tax rate in basis points
+   */
+  getTaxRate(region) {
+    if (region && hasOwn(this.taxRules, region)) {
+      return this.taxRules[region];
+    }
+    return this.taxRules["*"] || 0;
+  }
+}
+
+/**
+ * Check whether a rule table has its own entry for a key. Rules are plain
+ * objects, so a coupon code or region like "constructor" must not resolve
+ * to an Object.prototype member.
+ * @param {Object} object - Rule table
+ * @param {string} key - Key to look up
+ * @returns {boolean} True if the table has the key itself
+ */
+function hasOwn(object, key) {
+  return Object.prototype.hasOwnProperty.call(object, key);
+}
+
+module.exports = PricingEngine;
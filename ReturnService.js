@@ -0,0 +1,321 @@
+const { getQuantitiesByItem } = require("./orderLines");
+const { toCents } = require("./money");
+const {
+  ValidationError,
+  NotFoundError,
+  OrderNotFoundError,
+} = require("./errors");
+const InMemoryRepository = require("./InMemoryRepository");
+const SystemClock = require("./SystemClock");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * ReturnService - Handles returns (RMAs) of delivered orders: return
+ * requests within the return window, receipt and inspection, and the
+ * refund for what came back
+ */
+class ReturnService {
+  /**
+   * @param {EventBus} eventBus - Event bus
+   * @param {OrderService} orderService - Order service holding the orders
+   * @param {Object} [options] - { returnWindowDays (default: 30), repository,
+   *   clock, getReservation } (repository default: in-memory, clock default:
+   *   a SystemClock). getReservation(orderId) returns the order's inventory
+   *   reservation, whose price snapshot refunds orders without pricing.
+   */
+  constructor(eventBus, orderService, options = {}) {
+    this.eventBus = eventBus;
+    this.clock = options.clock || new SystemClock();
+    this.orderService = orderService;
+    this.returnWindowDays =
+      options.returnWindowDays === undefined ? 30 : options.returnWindowDays;
+    this.returns = options.repository || new InMemoryRepository();
+    this.getReservation = options.getReservation || (() => undefined);
+
+    // Bind methods to preserve 'this' context
+    this.handleReturnShipment = this.handleReturnShipment.bind(this);
+
+    // Register event listeners
+    this.eventBus.on("return:shipment_created", this.handleReturnShipment);
+
+    // Return events carry the whole RMA, so the latest one wins
+    const restoreReturn = (rma) => this.returns.set(rma.rmaNumber, rma);
+    this.eventBus.onReplay("return:requested", restoreReturn);
+    this.eventBus.onReplay("return:received", restoreReturn);
+    this.eventBus.onReplay(
+      "return:shipment_created",
+      this.handleReturnShipment
+    );
+  }
+
+  /**
+   * Request a return for some or all of a delivered order
+   * @param {string} orderId - Order ID
+   * @param {Object[]} [lines] - Lines to return ([{ item, quantity }]);
+   *   defaults to everything not already being returned
+   * @param {string} [reason] - Why the customer is returning the items
+   * @returns {Object} The RMA, including the return tracking number
+   * @throws {OrderNotFoundError} If the order doesn't exist
+   * @throws {ValidationError} If the order can't be returned or the lines
+   *   exceed what was delivered
+   */
+  requestReturn(orderId, lines, reason) {
+    const order = this.orderService.getOrder(orderId);
+    if (!order) {
+      throw new OrderNotFoundError(orderId);
+    }
+    if (order.status !== "delivered") {
+      throw new ValidationError(
+        `Order ${orderId} can't be returned while ${order.status}`
+      );
+    }
+
+    const deliveredAt = this.getDeliveredAt(order);
+    const windowClosesAt = deliveredAt + this.returnWindowDays * DAY_MS;
+    if (this.clock.now().getTime() > windowClosesAt) {
+      throw new ValidationError(
+        `The ${this.returnWindowDays}-day return window for order ${orderId} has closed`
+      );
+    }
+
+    const returnLines = this.validateReturnLines(order, lines);
+    const rma = {
+      rmaNumber: `RMA${this.returns.size + 1}`,
+      orderId,
+      email: order.email,
+      address: order.address,
+      locale: order.locale,
+      lines: returnLines,
+      reason,
+      status: "requested",
+      requestedAt: this.clock.now().toISOString(),
+    };
+    this.returns.set(rma.rmaNumber, rma);
+
+    console.log(
+      `[ReturnService] Return ${rma.rmaNumber} requested for order ${orderId}`
+    );
+    this.eventBus.emit("return:requested", { ...rma });
+
+    return this.returns.get(rma.rmaNumber);
+  }
+
+  /**
+   * Get when an order was delivered
+   * @param {Object} order - Delivered order
+   * @returns {number} Delivery time in ms since the epoch
+   */
+  getDeliveredAt(order) {
+    const delivered = order.statusHistory
+      .filter((entry) => entry.status === "delivered")
+      .pop();
+    return Date.parse(delivered.timestamp);
+  }
+
+  /**
+   * Check requested return lines against what was delivered and what is
+   * already being returned
+   * @param {Object} order - Delivered order
+   * @param {Object[]} [lines] - Requested lines
+   * @returns {Object[]} Normalized [{ item, name, quantity }] lines
+   * @throws {ValidationError} If nothing can be returned or a line exceeds
+   *   the returnable quantity
+   */
+  validateReturnLines(order, lines) {
+    const returnable = this.getReturnableQuantities(order);
+    const names = new Map(order.lines.map((line) => [line.item, line.name]));
+    const toReturnLine = ([item, quantity]) => ({
+      item,
+      name: names.get(item) || null,
+      quantity,
+    });
+
+    if (!lines || lines.length === 0) {
+      const allLines = Array.from(returnable.entries())
+        .filter(([, quantity]) => quantity > 0)
+        .map(toReturnLine);
+      if (allLines.length === 0) {
+        throw new ValidationError(
+          `Everything on order ${order.orderId} has already been returned`
+        );
+      }
+      return allLines;
+    }
+
+    const requested = getQuantitiesByItem(
+      lines.map((line) => ({
+        item: line.item,
+        quantity: line.quantity === undefined ? 1 : line.quantity,
+      }))
+    );
+    requested.forEach((quantity, item) => {
+      if (!Number.isInteger(quantity) || quantity < 1) {
+        throw new ValidationError(`Invalid return quantity for ${item}`);
+      }
+      if (quantity > (returnable.get(item) || 0)) {
+        throw new ValidationError(
+          `Can't return ${quantity} x ${item}: only ${
+            returnable.get(item) || 0
+          } returnable on order ${order.orderId}`
+        );
+      }
+    });
+    return Array.from(requested.entries()).map(toReturnLine);
+  }
+
+  /**
+   * Get how many of each item on an order can still be returned
+   * @param {Object} order - Order
+   * @returns {Map<string, number>} Map of item name to returnable quantity
+   */
+  getReturnableQuantities(order) {
+    const returnable = getQuantitiesByItem(order.lines);
+    this.getReturnsForOrder(order.orderId).forEach((rma) => {
+      rma.lines.forEach((line) => {
+        returnable.set(line.item, returnable.get(line.item) - line.quantity);
+      });
+    });
+    return returnable;
+  }
+
+  /**
+   * Store the return shipment's tracking number on the RMA
+   * @param {Object} shipmentData - Return shipment information
+   */
+  handleReturnShipment(shipmentData) {
+    const rma = this.returns.get(shipmentData.rmaNumber);
+    if (rma) {
+      rma.trackingNumber = shipmentData.trackingNumber;
+      this.returns.set(rma.rmaNumber, rma);
+    }
+  }
+
+  /**
+   * Record that a return arrived at the warehouse. Resellable items go
+   * back into stock, damaged ones are written off, and the returned
+   * items are refunded. Once everything on the order is back, the order
+   * moves to "returned".
+   * @param {string} rmaNumber - RMA number
+   * @param {Object} [conditions] - Item name → "resellable" (default) or "damaged"
+   * @returns {Object} The received RMA
+   * @throws {NotFoundError} If the RMA doesn't exist
+   * @throws {ValidationError} If the return was already received
+   */
+  receiveReturn(rmaNumber, conditions = {}) {
+    const rma = this.returns.get(rmaNumber);
+    if (!rma) {
+      throw new NotFoundError(`Return ${rmaNumber} not found`, "RMA_NOT_FOUND");
+    }
+    if (rma.status !== "requested") {
+      throw new ValidationError(
+        `Return ${rmaNumber} was already ${rma.status}`
+      );
+    }
+
+    const order = this.orderService.getOrder(rma.orderId);
+    rma.lines.forEach((line) => {
+      line.condition = conditions[line.item] || "resellable";
+    });
+    rma.refundAmount = this.calculateRefund(order, rma.lines);
+    rma.status = "received";
+    rma.receivedAt = this.clock.now().toISOString();
+    this.returns.set(rmaNumber, rma);
+
+    console.log(`[ReturnService] Return ${rmaNumber} received`);
+    this.eventBus.emit("return:received", { ...rma });
+
+    // A full return refunds everything that's left, including shipping
+    const fullyReturned = Array.from(
+      this.getReturnableQuantities(order).values()
+    ).every((quantity) => quantity === 0);
+    const allReceived = this.getReturnsForOrder(rma.orderId).every(
+      (other) => other.status === "received"
+    );
+    if (fullyReturned && allReceived) {
+      this.orderService.updateOrderStatus(
+        rma.orderId,
+        "returned",
+        rma.reason || "Order returned"
+      );
+    } else {
+      this.eventBus.emit("payment:refund_requested", {
+        orderId: rma.orderId,
+        reason: `Return ${rmaNumber}`,
+        amount: rma.refundAmount,
+      });
+    }
+
+    return rma;
+  }
+
+  /**
+   * Calculate the refund for returned lines: their price less their
+   * share of any discount, plus the tax charged on them. Orders without
+   * pricing are refunded at the prices snapshotted when they were
+   * reserved, which is what their payment charged.
+   * @param {Object} order - Order
+   * @param {Object[]} lines - Returned lines
+   * @returns {number} Refund in cents
+   */
+  calculateRefund(order, lines) {
+    const { pricing } = order;
+    const reservation = this.getReservation(order.orderId);
+    const pricedLines = pricing
+      ? pricing.lines
+      : (reservation ? reservation.lines : order.lines).map((line) => ({
+          item: line.item,
+          unitPrice: toCents(line.unitPrice || 0),
+        }));
+    const unitPrices = new Map(
+      pricedLines.map((line) => [line.item, line.unitPrice])
+    );
+
+    const lineTotal = lines.reduce(
+      (sum, line) => sum + unitPrices.get(line.item) * line.quantity,
+      0
+    );
+    if (!pricing || pricing.subtotal === 0) {
+      return lineTotal;
+    }
+
+    const discount = Math.round(
+      (lineTotal * pricing.discount) / pricing.subtotal
+    );
+    const tax = Math.round(((lineTotal - discount) * pricing.taxRate) / 10000);
+    return lineTotal - discount + tax;
+  }
+
+  /**
+   * Get an RMA
+   * @param {string} rmaNumber - RMA number
+   * @returns {Object|undefined} RMA or undefined
+   */
+  getReturn(rmaNumber) {
+    return this.returns.get(rmaNumber);
+  }
+
+  /**
+   * Get every RMA for an order
+   * @param {string} orderId - Order ID
+   * @returns {Object[]} Array of RMAs
+   */
+  getReturnsForOrder(orderId) {
+    return Array.from(this.returns.values()).filter(
+      (rma) => rma.orderId === orderId
+    );
+  }
+
+  /**
+   * Get RMAs by status
+   * @param {string} status - Status to filter by
+   * @returns {Object[]} Array of RMAs with matching status
+   */
+  getReturnsByStatus(status) {
+    return Array.from(this.returns.values()).filter(
+      (rma) => rma.status === status
+    );
+  }
+}
+
+module.exports = ReturnService;
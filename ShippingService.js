@@ -1,16 +1,139 @@
+const { getOrderLines } = require("./orderLines");
+const { toHolidaySet, addBusinessDays } = require("./businessDays");
+const {
+  SHIPPING_PREFERENCES,
+  validateShippingOptions,
+} = require("./shippingOptions");
+const { DEFAULT_CARRIERS } = require("./defaultCarriers");
+const { validateTrackingEvent, addTrackingEvent } = require("./trackingEvents");
+const { verifySignature } = require("./webhookSignature");
+const { formatAddress } = require("./addresses");
+const {
+  ValidationError,
+  NotFoundError,
+  WebhookSignatureError,
+} = require("./errors");
+const InMemoryRepository = require("./InMemoryRepository");
+const FakeCarrier = require("./FakeCarrier");
+const SystemClock = require("./SystemClock");
+
+// Tracking events fed to shipments when tracking is simulated, with ms
+// after shipping
+const SIMULATED_TRACKING = [
+  { status: "picked_up", after: 1000 },
+  { status: "in_transit", after: 2000 },
+  { status: "out_for_delivery", after: 4000 },
+  { status: "delivered", after: 5000 },
+];
+
 /**
- * ShippingService - Handles order shipping and tracking
+ * ShippingService - Handles order shipping and tracking. Shipments go out
+ * with pluggable carriers (see FakeCarrier for the interface): rates are
+ * quoted by every carrier, and the cheapest or fastest service at the
+ * order's service level buys the label. Delivery estimates count business
+ * days only.
+ *
+ * Every shipment keeps a timeline of tracking events (label created,
+ * picked up, in transit, …). Carriers report events through
+ * recordTrackingEvent() or a signed webhook (handleCarrierWebhook()); a
+ * "delivered" event delivers the order.
  */
 class ShippingService {
-  constructor(eventBus) {
+  /**
+   * @param {EventBus} eventBus - Event bus
+   * @param {Object} [repositories] - Storage for { shipments, returnShipments }
+   *   (default: in-memory)
+   * @param {Object} [options] - Shipping options
+   * @param {Object[]} [options.carriers] - Carriers to ship with (default:
+   *   the fake carriers in defaultCarriers)
+   * @param {string} [options.rateShopping] - "cheapest" (default) or
+   *   "fastest", for orders without a shippingPreference
+   * @param {string[]} [options.holidays] - Dates ("YYYY-MM-DD") carriers
+   *   don't deliver on, besides weekends
+   * @param {Object} [options.webhookSecrets] - Shared secrets for carrier
+   *   webhooks, keyed by carrier code
+   * @param {boolean} [options.simulateTracking] - Feed shipments made-up
+   *   tracking events until they're delivered (default: true); turn off
+   *   when carriers report real events
+   * @param {Object} [options.clock] - Clock for timestamps and timers
+   *   (default: a SystemClock)
+   */
+  constructor(eventBus, repositories = {}, options = {}) {
     this.eventBus = eventBus;
-    this.shipments = new Map();
+    this.clock = options.clock || new SystemClock();
+    this.carriers = new Map(
+      (
+        options.carriers ||
+        DEFAULT_CARRIERS.map(
+          (definition) => new FakeCarrier({ ...definition, clock: this.clock })
+        )
+      ).map((carrier) => [carrier.code, carrier])
+    );
+    this.rateShopping = options.rateShopping || "cheapest";
+    if (!SHIPPING_PREFERENCES.includes(this.rateShopping)) {
+      throw new ValidationError(
+        `Unknown rate shopping preference: ${this.rateShopping}`
+      );
+    }
+    this.holidays = toHolidaySet(options.holidays || []);
+    this.webhookSecrets = options.webhookSecrets || {};
+    this.simulateTracking = options.simulateTracking !== false;
+    this.shipments = repositories.shipments || new InMemoryRepository();
+    // Return shipments, keyed by RMA number
+    this.returnShipments =
+      repositories.returnShipments || new InMemoryRepository();
+    this.pendingShipments = new Map(); // orderId -> shipping job ID
 
     // Bind methods to preserve 'this' context
     this.processShipping = this.processShipping.bind(this);
+    this.handleCancellation = this.handleCancellation.bind(this);
+    this.createReturnShipment = this.createReturnShipment.bind(this);
+    this.handleReturnReceived = this.handleReturnReceived.bind(this);
+
+    // Register event listeners - shipping only starts once the order saga
+    // has reserved inventory (and payment, when required)
+    this.eventBus.on("shipping:requested", this.processShipping);
+    this.eventBus.on("order:cancelled", this.handleCancellation);
+    this.eventBus.on("return:requested", this.createReturnShipment);
+    this.eventBus.on("return:received", this.handleReturnReceived);
 
-    // Register event listeners
-    this.eventBus.on("order:created", this.processShipping);
+    this.registerReplayHandlers();
+  }
+
+  /**
+   * Rebuild shipments from the event log. Tracking simulations are not
+   * restarted: shipments still in transit wait for carrier updates.
+   */
+  registerReplayHandlers() {
+    this.eventBus.onReplay("order:shipped", (data) => {
+      this.shipments.set(data.orderId, {
+        orderId: data.orderId,
+        address: data.address,
+        lines: data.lines,
+        origins: data.origins,
+        carrier: data.carrier,
+        service: data.service,
+        serviceLevel: data.serviceLevel,
+        shippingCost: data.shippingCost,
+        labelId: data.labelId,
+        trackingNumber: data.trackingNumber,
+        status: data.status,
+        trackingStatus: data.trackingStatus,
+        events: data.events,
+        shippedAt: data.shippedAt,
+        estimatedDelivery: data.estimatedDelivery,
+      });
+    });
+    this.eventBus.onReplay("order:delivered", (shipment) => {
+      this.shipments.set(shipment.orderId, shipment);
+    });
+    this.eventBus.onReplay("shipment:tracking_updated", (data) => {
+      this.saveShipment(data.shipment);
+    });
+    this.eventBus.onReplay("return:shipment_created", (data) => {
+      this.returnShipments.set(data.rmaNumber, data.shipment);
+    });
+    this.eventBus.onReplay("return:received", this.handleReturnReceived);
   }
 
   /**
@@ -18,68 +141,465 @@ class ShippingService {
    * @param {Object} orderData - Order information
    */
   processShipping(orderData) {
-    // Simulate shipping processing delay
-    setTimeout(() => {
-      const shipmentData = {
+    if (!orderData.address) {
+      console.log(
+        `[ShippingService] Cannot ship order ${orderData.orderId}: missing address`
+      );
+      this.eventBus.emit("shipping:failed", {
         orderId: orderData.orderId,
+        reason: "Missing shipping address",
+      });
+      return;
+    }
+
+    // Simulate shipping processing delay
+    const jobId = this.clock.schedule(() => this.shipOrder(orderData), 1000, {
+      name: `ship:${orderData.orderId}`,
+    });
+    this.pendingShipments.set(orderData.orderId, jobId);
+  }
+
+  /**
+   * Buy a label with the best carrier rate and ship the order. The order
+   * stays pending until the label is bought, so it can still be cancelled.
+   * @param {Object} orderData - Order information
+   */
+  async shipOrder(orderData) {
+    const { orderId } = orderData;
+    const lines = this.getShipmentLines(orderData);
+    const origins = Array.from(new Set(lines.map((line) => line.warehouse)));
+    const serviceLevel = orderData.serviceLevel || "standard";
+
+    let rate;
+    let label;
+    try {
+      validateShippingOptions(orderData);
+      rate = await this.selectRate(
+        {
+          origins,
+          address: orderData.address,
+          quantity: lines.reduce((sum, line) => sum + line.quantity, 0),
+        },
+        serviceLevel,
+        orderData.shippingPreference || this.rateShopping
+      );
+      label = await this.carriers.get(rate.carrier).createLabel({
+        orderId,
+        service: rate.service,
+        origins,
         address: orderData.address,
-        item: orderData.item,
-        trackingNumber: this.generateTrackingNumber(),
-        status: "shipped",
-        shippedAt: new Date().toISOString(),
-        estimatedDelivery: this.calculateDeliveryDate(),
-      };
+        lines,
+      });
+    } catch (error) {
+      if (this.pendingShipments.delete(orderId)) {
+        console.log(
+          `[ShippingService] Cannot ship order ${orderId}: ${error.message}`
+        );
+        this.eventBus.emit("shipping:failed", {
+          orderId,
+          reason: error.message,
+        });
+      }
+      return;
+    }
+    if (!this.pendingShipments.delete(orderId)) {
+      // Cancelled while the label was being bought
+      return;
+    }
 
-      this.shipments.set(orderData.orderId, shipmentData);
-      console.log(`[ShippingService] Order shipped:`, shipmentData);
+    const shippedAt = this.clock.now();
+    const labelEvent = validateTrackingEvent(
+      {
+        status: "label_created",
+        location: origins.filter(Boolean).join(", ") || undefined,
+      },
+      shippedAt
+    );
+    const shipmentData = {
+      orderId,
+      address: orderData.address,
+      lines,
+      origins,
+      carrier: rate.carrier,
+      service: rate.service,
+      serviceLevel,
+      shippingCost: rate.cost,
+      labelId: label.labelId,
+      trackingNumber: label.trackingNumber,
+      status: "shipped",
+      trackingStatus: labelEvent.status,
+      events: [labelEvent],
+      shippedAt: shippedAt.toISOString(),
+      estimatedDelivery: this.calculateDeliveryDate(
+        rate.transitDays,
+        shippedAt
+      ),
+    };
 
-      // Emit shipping event for other services
-      this.eventBus.emit("order:shipped", { ...orderData, ...shipmentData });
+    this.shipments.set(orderId, shipmentData);
+    console.log(`[ShippingService] Order shipped:`, shipmentData);
 
-      // Simulate delivery after some time
-      this.scheduleDelivery(orderData.orderId, shipmentData.estimatedDelivery);
-    }, 1000); // 1 second delay to simulate processing
+    // Emit shipping event for other services
+    this.eventBus.emit("order:shipped", { ...orderData, ...shipmentData });
+
+    if (this.simulateTracking) {
+      this.scheduleTracking(shipmentData);
+    }
+  }
+
+  /**
+   * Get rate quotes from every carrier. A carrier that fails to quote is
+   * left out.
+   * @param {Object} request - { origins, address, quantity }
+   * @returns {Promise<Object[]>} Array of { carrier, service, level, cost,
+   *   transitDays }
+   */
+  async getRates(request) {
+    const quotes = await Promise.all(
+      Array.from(this.carriers.values()).map((carrier) =>
+        carrier
+          .getRates(request)
+          .then((rates) =>
+            rates.map((rate) => ({ carrier: carrier.code, ...rate }))
+          )
+          .catch((error) => {
+            console.log(
+              `[ShippingService] ${carrier.code} rates unavailable: ${error.message}`
+            );
+            return [];
+          })
+      )
+    );
+    return quotes.flat();
+  }
+
+  /**
+   * Pick the rate to ship with: the cheapest or fastest service at a
+   * service level, the other measure breaking ties
+   * @param {Object} request - { origins, address, quantity }
+   * @param {string} serviceLevel - "standard", "express" or "overnight"
+   * @param {string} preference - "cheapest" or "fastest"
+   * @returns {Promise<Object>} The chosen rate (see getRates)
+   * @throws {Error} If no carrier offers the service level
+   */
+  async selectRate(request, serviceLevel, preference) {
+    const [first, second] =
+      preference === "fastest"
+        ? ["transitDays", "cost"]
+        : ["cost", "transitDays"];
+    const [rate] = (await this.getRates(request))
+      .filter((quote) => quote.level === serviceLevel)
+      .sort((a, b) => a[first] - b[first] || a[second] - b[second]);
+    if (!rate) {
+      throw new Error(`No carrier offers ${serviceLevel} shipping`);
+    }
+    return rate;
   }
 
   /**
-   * Generate a unique tracking number
-   * @returns {string} Tracking number
+   * Build shipment lines, one per item and origin warehouse. Orders
+   * reserved without warehouse allocations ship from an unknown origin.
+   * @param {Object} orderData - Order information
+   * @returns {Object[]} Array of { item, name, quantity, warehouse, status }
+   */
+  getShipmentLines(orderData) {
+    const orderLines = getOrderLines(orderData);
+    const names = new Map(orderLines.map((line) => [line.item, line.name]));
+    const lines = orderData.allocations || orderLines;
+    return lines.map((line) => ({
+      item: line.item,
+      name: names.get(line.item) || null,
+      quantity: line.quantity,
+      warehouse: line.warehouse || null,
+      status: "shipped",
+    }));
+  }
+
+  /**
+   * Handle order cancellation - stop a shipment that hasn't left yet
+   * @param {Object} data - Cancellation information
    */
-  generateTrackingNumber() {
-    const prefix = "TRK";
-    const timestamp = Date.now();
-    const random = Math.floor(Math.random() * 1000)
-      .toString()
-      .padStart(3, "0");
-    return `${prefix}${timestamp}${random}`;
+  handleCancellation(data) {
+    const jobId = this.pendingShipments.get(data.orderId);
+    if (jobId) {
+      this.clock.cancel(jobId);
+      this.pendingShipments.delete(data.orderId);
+      console.log(
+        `[ShippingService] Pending shipment stopped for order: ${data.orderId}`
+      );
+      this.eventBus.emit("shipping:cancelled", { orderId: data.orderId });
+    }
   }
 
   /**
-   * Calculate estimated delivery date
+   * Create a return shipment for an RMA, with a label from the cheapest
+   * standard carrier service
+   * @param {Object} rma - Return information
+   */
+  async createReturnShipment(rma) {
+    const lines = rma.lines.map((line) => ({
+      item: line.item,
+      quantity: line.quantity,
+    }));
+
+    let rate;
+    let label;
+    try {
+      rate = await this.selectRate(
+        {
+          origins: [],
+          address: rma.address,
+          quantity: lines.reduce((sum, line) => sum + line.quantity, 0),
+        },
+        "standard",
+        "cheapest"
+      );
+      label = await this.carriers.get(rate.carrier).createLabel({
+        orderId: rma.orderId,
+        rmaNumber: rma.rmaNumber,
+        service: rate.service,
+        origins: [],
+        address: rma.address,
+        lines,
+      });
+    } catch (error) {
+      console.log(
+        `[ShippingService] Cannot create return shipment for ${rma.rmaNumber}: ${error.message}`
+      );
+      this.eventBus.emit("return:shipment_failed", {
+        rmaNumber: rma.rmaNumber,
+        orderId: rma.orderId,
+        reason: error.message,
+      });
+      return;
+    }
+
+    const createdAt = this.clock.now().toISOString();
+    const shipment = {
+      rmaNumber: rma.rmaNumber,
+      orderId: rma.orderId,
+      from: rma.address,
+      lines,
+      carrier: rate.carrier,
+      service: rate.service,
+      labelId: label.labelId,
+      trackingNumber: label.trackingNumber,
+      type: "return",
+      status: "awaiting_pickup",
+      trackingStatus: "label_created",
+      events: [
+        validateTrackingEvent(
+          { status: "label_created", location: formatAddress(rma.address) },
+          new Date(createdAt)
+        ),
+      ],
+      createdAt,
+    };
+    this.returnShipments.set(rma.rmaNumber, shipment);
+
+    console.log(
+      `[ShippingService] Return shipment created for ${rma.rmaNumber}: ${shipment.trackingNumber}`
+    );
+    this.eventBus.emit("return:shipment_created", {
+      ...rma,
+      trackingNumber: shipment.trackingNumber,
+      shipment: { ...shipment },
+    });
+  }
+
+  /**
+   * Handle a return arriving at the warehouse
+   * @param {Object} rma - Received return information
+   */
+  handleReturnReceived(rma) {
+    const shipment = this.returnShipments.get(rma.rmaNumber);
+    if (shipment) {
+      shipment.status = "received";
+      shipment.receivedAt = rma.receivedAt;
+      this.returnShipments.set(rma.rmaNumber, shipment);
+    }
+  }
+
+  /**
+   * Calculate the estimated delivery date, skipping weekends and holidays
+   * @param {number} [transitDays] - Business days in transit (default: 3)
+   * @param {Date} [shippedAt] - When the parcel left (default: now)
    * @returns {string} ISO date string for estimated delivery
    */
-  calculateDeliveryDate() {
-    const deliveryDate = new Date();
-    deliveryDate.setDate(deliveryDate.getDate() + 3); // 3 days from now
-    return deliveryDate.toISOString();
+  calculateDeliveryDate(transitDays = 3, shippedAt = this.clock.now()) {
+    return addBusinessDays(shippedAt, transitDays, this.holidays).toISOString();
   }
 
   /**
-   * Schedule delivery simulation
-   * @param {string} orderId - Order ID
-   * @param {string} deliveryDate - Delivery date
-   */
-  scheduleDelivery(orderId, deliveryDate) {
-    // Simulate delivery in 5 seconds for demo purposes
-    setTimeout(() => {
-      const shipment = this.shipments.get(orderId);
-      if (shipment) {
-        shipment.status = "delivered";
-        shipment.deliveredAt = new Date().toISOString();
-        console.log(`[ShippingService] Order delivered:`, shipment);
-        this.eventBus.emit("order:delivered", shipment);
-      }
-    }, 5000);
+   * Simulate a carrier's tracking updates for a shipment, ending with
+   * delivery a few seconds after it shipped (for demos)
+   * @param {Object} shipment - Outbound shipment
+   */
+  scheduleTracking(shipment) {
+    const locations = {
+      picked_up: shipment.origins.filter(Boolean).join(", ") || undefined,
+      in_transit: "Sorting facility",
+      out_for_delivery: formatAddress(shipment.address),
+      delivered: formatAddress(shipment.address),
+    };
+    SIMULATED_TRACKING.forEach(({ status, after }) => {
+      this.clock.schedule(
+        () => {
+          // Nothing is waiting on the job, so a failure is only logged
+          try {
+            this.recordTrackingEvent(shipment.trackingNumber, {
+              status,
+              location: locations[status],
+            });
+          } catch (error) {
+            console.error(
+              `[ShippingService] Tracking update ${status} failed for ${shipment.trackingNumber}:`,
+              error
+            );
+          }
+        },
+        after,
+        { name: `track:${shipment.trackingNumber}:${status}` }
+      );
+    });
+  }
+
+  /**
+   * Add a carrier's tracking event to a shipment's timeline. Resent events
+   * are ignored. A "delivered" event delivers an outbound shipment and its
+   * order.
+   * @param {string} trackingNumber - Tracking number
+   * @param {Object} event - { status, location?, occurredAt?, description? }
+   *   (see trackingEvents)
+   * @returns {Object} The updated shipment
+   * @throws {NotFoundError} If no shipment has the tracking number
+   * @throws {ValidationError} If the event is invalid
+   */
+  recordTrackingEvent(trackingNumber, event) {
+    const shipment = this.trackShipment(trackingNumber);
+    if (!shipment) {
+      throw new NotFoundError(
+        `Shipment ${trackingNumber} not found`,
+        "SHIPMENT_NOT_FOUND"
+      );
+    }
+    const trackingEvent = validateTrackingEvent(event, this.clock.now());
+    const events = addTrackingEvent(shipment.events || [], trackingEvent);
+    if (!events) {
+      return shipment;
+    }
+
+    shipment.events = events;
+    shipment.trackingStatus = events[events.length - 1].status;
+    const delivered =
+      trackingEvent.status === "delivered" &&
+      shipment.type !== "return" &&
+      shipment.status !== "delivered";
+    if (delivered) {
+      shipment.status = "delivered";
+      shipment.deliveredAt = trackingEvent.occurredAt;
+      shipment.lines.forEach((line) => {
+        line.status = "delivered";
+      });
+    }
+    this.saveShipment(shipment);
+
+    console.log(
+      `[ShippingService] Tracking update for ${trackingNumber}: ${trackingEvent.status}`
+    );
+    this.eventBus.emit("shipment:tracking_updated", {
+      orderId: shipment.orderId,
+      rmaNumber: shipment.rmaNumber,
+      trackingNumber,
+      event: trackingEvent,
+      shipment: { ...shipment },
+    });
+    if (delivered) {
+      console.log(`[ShippingService] Order delivered:`, shipment);
+      this.eventBus.emit("order:delivered", shipment);
+    }
+    return shipment;
+  }
+
+  /**
+   * Handle a carrier's tracking webhook. The raw body must be signed with
+   * the carrier's webhook secret (see webhookSignature).
+   *
+   * Body: { trackingNumber, events: [{ status, location, occurredAt,
+   * description }] }
+   * @param {string} carrierCode - Carrier code
+   * @param {string} rawBody - Raw request body
+   * @param {string} [signature] - Signature sent with the body
+   * @returns {Object} The updated shipment
+   * @throws {NotFoundError} If the carrier or shipment is unknown
+   * @throws {WebhookSignatureError} If the signature doesn't match
+   * @throws {ValidationError} If the body is invalid
+   */
+  handleCarrierWebhook(carrierCode, rawBody, signature) {
+    if (!this.carriers.has(carrierCode)) {
+      throw new NotFoundError(
+        `Carrier ${carrierCode} not found`,
+        "CARRIER_NOT_FOUND"
+      );
+    }
+    const secret = this.webhookSecrets[carrierCode];
+    if (!secret || !verifySignature(secret, rawBody, signature)) {
+      throw new WebhookSignatureError(
+        `Invalid webhook signature for ${carrierCode}`
+      );
+    }
+
+    let body;
+    try {
+      body = JSON.parse(rawBody);
+    } catch (error) {
+      throw new ValidationError("Webhook body must be JSON");
+    }
+    if (!body || !Array.isArray(body.events)) {
+      throw new ValidationError("Webhook body must have an events array");
+    }
+    const shipment = this.trackShipment(body.trackingNumber);
+    if (!shipment || shipment.carrier !== carrierCode) {
+      throw new NotFoundError(
+        `Shipment ${body.trackingNumber} not found`,
+        "SHIPMENT_NOT_FOUND"
+      );
+    }
+
+    // Check every event before recording any
+    const now = this.clock.now();
+    const events = body.events.map((event) =>
+      validateTrackingEvent(event, now)
+    );
+    events.forEach((event) => {
+      this.recordTrackingEvent(body.trackingNumber, event);
+    });
+    return this.trackShipment(body.trackingNumber);
+  }
+
+  /**
+   * Store an outbound or return shipment
+   * @param {Object} shipment - Shipment
+   */
+  saveShipment(shipment) {
+    if (shipment.type === "return") {
+      this.returnShipments.set(shipment.rmaNumber, shipment);
+    } else {
+      this.shipments.set(shipment.orderId, shipment);
+    }
+  }
+
+  /**
+   * Ask the carrier that issued a tracking number for its status
+   * @param {string} trackingNumber - Tracking number
+   * @returns {Promise<Object|null>} Carrier tracking details, or null if no
+   *   carrier knows the number
+   */
+  async getCarrierTracking(trackingNumber) {
+    const carrier = Array.from(this.carriers.values()).find((other) =>
+      other.isTrackingNumber(trackingNumber)
+    );
+    return carrier ? carrier.track(trackingNumber) : null;
   }
 
   /**
@@ -100,12 +620,22 @@ class ShippingService {
   }
 
   /**
-   * Track shipment by tracking number
+   * Get the return shipment for an RMA
+   * @param {string} rmaNumber - RMA number
+   * @returns {Object|undefined} Return shipment or undefined
+   */
+  getReturnShipment(rmaNumber) {
+    return this.returnShipments.get(rmaNumber);
+  }
+
+  /**
+   * Track an outbound or return shipment by tracking number
    * @param {string} trackingNumber - Tracking number
-   * @returns {Object|undefined} Shipment data or undefined
+   * @returns {Object|undefined} Shipment data, with its tracking timeline
+   *   in `events`, or undefined
    */
   trackShipment(trackingNumber) {
-    return Array.from(this.shipments.values()).find(
+    return [...this.shipments.values(), ...this.returnShipments.values()].find(
       (shipment) => shipment.trackingNumber === trackingNumber
     );
   }
@@ -0,0 +1,71 @@
+const { render } = require("./templateEngine");
+const { ValidationError } = require("./errors");
+
+// Short texts by notification type (see templateEngine for the syntax)
+const SMS_TEMPLATES = {
+  confirmation:
+    "Thanks for your order {{orderId}}! We'll text you when it ships.",
+  shipping: "Order {{orderId}} has shipped. Tracking: {{trackingNumber}}",
+  status_update: "Order {{orderId}} is now {{status}}.",
+  return_requested:
+    "Return {{rmaNumber}} for order {{orderId}} is approved. Tracking: {{trackingNumber}}",
+  return_received: "We received return {{rmaNumber}} for order {{orderId}}.",
+};
+
+// Added to every text that has an unsubscribe link
+const SMS_UNSUBSCRIBE = " Unsubscribe: {{unsubscribeUrl}}";
+
+/**
+ * SmsChannel - Texts notifications to the phone number in a customer's
+ * preferences through an SMS gateway. Without a gateway, messages are
+ * kept in memory for demos and tests.
+ *
+ * Gateways implement:
+ * - send({ to, body }) → Promise<{ messageId }>, rejecting on failure
+ */
+class SmsChannel {
+  /**
+   * @param {Object} [options] - Channel options
+   * @param {Object} [options.gateway] - SMS gateway (default: in-memory)
+   * @param {Object} [options.templates] - Texts by notification type,
+   *   added to or replacing the defaults
+   */
+  constructor(options = {}) {
+    this.name = "sms";
+    this.gateway = options.gateway || null;
+    this.templates = { ...SMS_TEMPLATES, ...options.templates };
+    this.messages = [];
+  }
+
+  /**
+   * Text a notification
+   * @param {Object} notification - Notification with the customer's
+   *   preferences and unsubscribeUrl
+   * @returns {Promise<Object>} { reference } - the gateway's message ID
+   * @throws {ValidationError} If there's no phone number or text for the type
+   */
+  async notify(notification) {
+    const { phone } = notification.preferences;
+    const template = this.templates[notification.type];
+    if (!phone) {
+      throw new ValidationError(`No phone number for ${notification.customer}`);
+    }
+    if (!template) {
+      throw new ValidationError(`No SMS text for ${notification.type}`);
+    }
+
+    let body = render(template, notification.data);
+    if (notification.unsubscribeUrl) {
+      body += render(SMS_UNSUBSCRIBE, notification);
+    }
+    const message = { to: phone, body };
+    if (!this.gateway) {
+      this.messages.push(message);
+      return { reference: `SMS${this.messages.length}` };
+    }
+    const result = await this.gateway.send(message);
+    return { reference: result.messageId };
+  }
+}
+
+module.exports = SmsChannel;
@@ -0,0 +1,179 @@
+const net = require("net");
+const os = require("os");
+const tls = require("tls");
+const { buildMessage, checkMailbox, getAddress } = require("./mimeMessage");
+const { EmailDeliveryError } = require("./errors");
+
+/**
+ * SmtpTransport - Delivers emails to an SMTP server (RFC 5321), one
+ * connection per message. Supports implicit TLS (`secure`) and AUTH PLAIN;
+ * STARTTLS is not supported. See MemoryTransport for the transport
+ * interface.
+ *
+ * Connection problems and 4xx replies are transient failures, so the
+ * email is retried. 5xx replies are permanent and bounce the email.
+ */
+class SmtpTransport {
+  /**
+   * @param {Object} [options] - Server options
+   * @param {string} [options.host] - Server host (default: "localhost")
+   * @param {number} [options.port] - Server port (default: 465 if secure, else 25)
+   * @param {boolean} [options.secure] - Connect over TLS
+   * @param {Object} [options.auth] - { user, pass } for AUTH PLAIN
+   * @param {string} [options.name] - Host name sent with EHLO (default: os.hostname())
+   * @param {number} [options.timeout] - Ms to wait for each reply (default: 10000)
+   */
+  constructor(options = {}) {
+    this.host = options.host || "localhost";
+    this.secure = Boolean(options.secure);
+    this.port = options.port || (this.secure ? 465 : 25);
+    this.auth = options.auth || null;
+    this.name = options.name || os.hostname();
+    this.timeout = options.timeout || 10000;
+  }
+
+  /**
+   * Send a message
+   * @param {Object} message - { messageId, from, to, subject, text, html }
+   * @returns {Promise<Object>} { messageId, response }
+   * @throws {EmailDeliveryError} If the connection fails or the server
+   *   rejects the message, or permanently if an address is invalid
+   */
+  async send(message) {
+    // Addresses go into SMTP commands, so check them before connecting
+    checkMailbox(message.from, "From");
+    checkMailbox(message.to, "To");
+    const socket = this.secure
+      ? tls.connect({ host: this.host, port: this.port, servername: this.host })
+      : net.connect({ host: this.host, port: this.port });
+    const session = createSession(socket, this.timeout);
+
+    try {
+      await this.step(session, "Greeting", null, [220]);
+      await this.step(session, "EHLO", `EHLO ${this.name}`, [250]);
+      if (this.auth) {
+        const token = Buffer.from(
+          `\0${this.auth.user}\0${this.auth.pass}`
+        ).toString("base64");
+        await this.step(session, "AUTH", `AUTH PLAIN ${token}`, [235]);
+      }
+      await this.step(
+        session,
+        "MAIL FROM",
+        `MAIL FROM:<${getAddress(message.from)}>`,
+        [250]
+      );
+      await this.step(
+        session,
+        "RCPT TO",
+        `RCPT TO:<${getAddress(message.to)}>`,
+        [250, 251]
+      );
+      await this.step(session, "DATA", "DATA", [354]);
+      // Lines starting with a dot are escaped so they don't end the message
+      const data = buildMessage(message).replace(/^\./gm, "..");
+      const reply = await this.step(session, "Message", `${data}\r\n.`, [250]);
+      await this.step(session, "QUIT", "QUIT", [221]).catch(() => {});
+      return { messageId: message.messageId, response: reply.text };
+    } finally {
+      socket.destroy();
+    }
+  }
+
+  /**
+   * Send a command (if any) and wait for the reply
+   * @param {Object} session - Session from createSession()
+   * @param {string} label - What the step is, for error messages
+   * @param {string|null} command - Command line, without the CRLF
+   * @param {number[]} expected - Reply codes that mean success
+   * @returns {Promise<Object>} { code, text } reply
+   * @throws {EmailDeliveryError} If there's no reply or it's unexpected
+   */
+  async step(session, label, command, expected) {
+    if (command !== null) {
+      session.write(command);
+    }
+
+    let reply;
+    try {
+      reply = await session.read();
+    } catch (error) {
+      throw new EmailDeliveryError(
+        `SMTP ${this.host}:${this.port} ${label} failed: ${error.message}`
+      );
+    }
+    if (!expected.includes(reply.code)) {
+      throw new EmailDeliveryError(
+        `SMTP ${label} rejected: ${reply.code} ${reply.text}`,
+        { permanent: reply.code >= 500, responseCode: reply.code }
+      );
+    }
+    return reply;
+  }
+}
+
+/**
+ * Read SMTP replies from a socket. Multi-line replies ("250-…" lines up to
+ * a final "250 …") are joined into one.
+ * @param {net.Socket} socket - Connected or connecting socket
+ * @param {number} timeout - Ms of inactivity before the session fails
+ * @returns {Object} { read() → Promise<{ code, text }>, write(line) }
+ */
+function createSession(socket, timeout) {
+  let buffered = "";
+  const lines = [];
+  let waiting = null;
+  let failure = null;
+
+  const settle = () => {
+    if (!waiting) return;
+    const end = lines.findIndex((line) => /^\d{3}(?: |$)/.test(line));
+    if (end !== -1) {
+      const replyLines = lines.splice(0, end + 1);
+      const { resolve } = waiting;
+      waiting = null;
+      resolve({
+        code: Number(replyLines[end].slice(0, 3)),
+        text: replyLines.map((line) => line.slice(4)).join("\n"),
+      });
+    } else if (failure) {
+      const { reject } = waiting;
+      waiting = null;
+      reject(failure);
+    }
+  };
+  const fail = (error) => {
+    failure = failure || error;
+    settle();
+  };
+
+  socket.setEncoding("utf8");
+  socket.setTimeout(timeout, () => {
+    fail(new Error(`no reply within ${timeout}ms`));
+    socket.destroy();
+  });
+  socket.on("data", (chunk) => {
+    const parts = (buffered + chunk).split("\r\n");
+    buffered = parts.pop();
+    lines.push(...parts);
+    settle();
+  });
+  socket.on("error", fail);
+  socket.on("close", () => fail(new Error("connection closed")));
+
+  return {
+    read() {
+      return new Promise((resolve, reject) => {
+        waiting = { resolve, reject };
+        settle();
+      });
+    },
+    write(line) {
+      if (!failure) {
+        socket.write(`${line}\r\n`);
+      }
+    },
+  };
+}
+
+module.exports = SmtpTransport;
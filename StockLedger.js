@@ -0,0 +1,102 @@
+const InMemoryRepository = require("./InMemoryRepository");
+const SystemClock = require("./SystemClock");
+
+// Kinds of stock movement recorded in the ledger
+const MOVEMENT_TYPES = [
+  "receipt",
+  "reservation",
+  "release",
+  "fulfilment",
+  "adjustment",
+  "write_off",
+];
+
+/**
+ * StockLedger - Append-only record of every stock movement, one entry
+ * per item and warehouse: { sequence, timestamp, item, warehouse, type,
+ * quantity, balance, reason, actor, orderId }. Summing an item's
+ * quantities gives the stock it should have.
+ */
+class StockLedger {
+  /**
+   * @param {Object} [repository] - Storage for entries, keyed by sequence
+   *   number (default: in-memory)
+   * @param {Object} [clock] - Clock for timestamps (default: a SystemClock)
+   */
+  constructor(
+    repository = new InMemoryRepository(),
+    clock = new SystemClock()
+  ) {
+    this.entries = repository;
+    this.clock = clock;
+  }
+
+  /**
+   * Append a movement
+   * @param {Object} movement - { item, warehouse, type, quantity, balance,
+   *   reason, actor, orderId, timestamp }; timestamp defaults to now
+   * @returns {Object} The stored entry
+   * @throws {Error} If the movement type is unknown
+   */
+  record(movement) {
+    if (!MOVEMENT_TYPES.includes(movement.type)) {
+      throw new Error(`Unknown stock movement type: ${movement.type}`);
+    }
+
+    const entry = {
+      sequence: this.entries.size + 1,
+      timestamp: movement.timestamp || this.clock.now().toISOString(),
+      item: movement.item,
+      warehouse: movement.warehouse,
+      type: movement.type,
+      quantity: movement.quantity,
+      balance: movement.balance,
+      reason: movement.reason || null,
+      actor: movement.actor || "system",
+      orderId: movement.orderId || null,
+    };
+    if (movement.fulfilled !== undefined) {
+      entry.fulfilled = movement.fulfilled;
+    }
+    this.entries.set(String(entry.sequence), entry);
+    return entry;
+  }
+
+  /**
+   * Get the movements for an item, oldest first
+   * @param {string} itemName - Item name
+   * @returns {Object[]} Array of ledger entries
+   */
+  getEntries(itemName) {
+    return Array.from(this.entries.values()).filter(
+      (entry) => entry.item === itemName
+    );
+  }
+
+  /**
+   * Check whether any movement has been recorded for an item
+   * @param {string} itemName - Item name
+   * @returns {boolean} True if the item has ledger entries
+   */
+  hasEntries(itemName) {
+    return Array.from(this.entries.values()).some(
+      (entry) => entry.item === itemName
+    );
+  }
+
+  /**
+   * Recompute stock from the recorded movements
+   * @returns {Map<string, Object>} Item name → { [warehouse]: stock }
+   */
+  getBalances() {
+    const balances = new Map();
+    this.entries.forEach((entry) => {
+      const stock = balances.get(entry.item) || {};
+      stock[entry.warehouse] = (stock[entry.warehouse] || 0) + entry.quantity;
+      balances.set(entry.item, stock);
+    });
+    return balances;
+  }
+}
+
+module.exports = StockLedger;
@@ -0,0 +1,81 @@
+/**
+ * SystemClock - The real clock: tells the current time and runs scheduled
+ * jobs with setTimeout. Services take a clock in their options and use it
+ * for every timestamp and timer (default: a SystemClock), so tests and
+ * demos can run them on a VirtualClock instead.
+ *
+ * Every clock implements:
+ * - now() → Date
+ * - schedule(fn, delay, { name, unref }) → jobId - runs fn after delay ms;
+ *   unref jobs don't keep the process alive
+ * - cancel(jobId) → boolean, true if the job hadn't run yet
+ * - getJobs() → [{ jobId, name, runAt }], pending jobs soonest first
+ */
+class SystemClock {
+  constructor() {
+    this.jobs = new Map(); // jobId -> { jobId, name, runAt, timer }
+    this.jobCount = 0;
+  }
+
+  /**
+   * Get the current time
+   * @returns {Date} Now
+   */
+  now() {
+    return new Date();
+  }
+
+  /**
+   * Run a function after a delay
+   * @param {Function} fn - Job to run
+   * @param {number} delay - Ms to wait
+   * @param {Object} [options] - { name, unref }
+   * @returns {string} Job ID, for cancel()
+   */
+  schedule(fn, delay, options = {}) {
+    const jobId = `job-${++this.jobCount}`;
+    const timer = setTimeout(() => {
+      this.jobs.delete(jobId);
+      fn();
+    }, delay);
+    if (options.unref) {
+      timer.unref();
+    }
+    this.jobs.set(jobId, {
+      jobId,
+      name: options.name || jobId,
+      runAt: Date.now() + Math.max(0, delay),
+      timer,
+    });
+    return jobId;
+  }
+
+  /**
+   * Cancel a scheduled job
+   * @param {string} jobId - Job ID
+   * @returns {boolean} True if the job was pending
+   */
+  cancel(jobId) {
+    const job = this.jobs.get(jobId);
+    if (!job) return false;
+    clearTimeout(job.timer);
+    this.jobs.delete(jobId);
+    return true;
+  }
+
+  /**
+   * List pending jobs
+   * @returns {Object[]} Array of { jobId, name, runAt }, soonest first
+   */
+  getJobs() {
+    return Array.from(this.jobs.values())
+      .sort((a, b) => a.runAt - b.runAt)
+      .map(({ jobId, name, runAt }) => ({
+        jobId,
+        name,
+        runAt: new Date(runAt).toISOString(),
+      }));
+  }
+}
+
+module.exports = SystemClock;
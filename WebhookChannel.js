@@ -0,0 +1,73 @@
+const http = require("http");
+const https = require("https");
+const { URL } = require("url");
+const { ValidationError } = require("./errors");
+
+/**
+ * WebhookChannel - POSTs notifications as JSON to the webhook URL in a
+ * customer's preferences. Any 2xx response counts as delivered.
+ *
+ * Body: { notificationId, type, event, orderId, data }
+ */
+class WebhookChannel {
+  /**
+   * @param {Object} [options] - Channel options
+   * @param {number} [options.timeout] - Ms to wait for a response (default: 5000)
+   */
+  constructor(options = {}) {
+    this.name = "webhook";
+    this.timeout = options.timeout || 5000;
+  }
+
+  /**
+   * Post a notification to the customer's webhook
+   * @param {Object} notification - Notification with the customer's preferences
+   * @returns {Promise<Object>} { reference } - the response status code
+   * @throws {ValidationError} If the customer has no webhook URL
+   */
+  notify(notification) {
+    const { webhookUrl } = notification.preferences;
+    if (!webhookUrl) {
+      throw new ValidationError(`No webhook URL for ${notification.customer}`);
+    }
+
+    const url = new URL(webhookUrl);
+    const body = JSON.stringify({
+      notificationId: notification.notificationId,
+      type: notification.type,
+      event: notification.event,
+      orderId: notification.orderId,
+      data: notification.data,
+    });
+    const transport = url.protocol === "https:" ? https : http;
+
+    return new Promise((resolve, reject) => {
+      const req = transport.request(
+        url,
+        {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+            "Content-Length": Buffer.byteLength(body),
+          },
+          timeout: this.timeout,
+        },
+        (res) => {
+          res.resume();
+          if (res.statusCode >= 200 && res.statusCode < 300) {
+            resolve({ reference: res.statusCode });
+          } else {
+            reject(new Error(`Webhook responded with ${res.statusCode}`));
+          }
+        }
+      );
+      req.on("timeout", () =>
+        req.destroy(new Error(`Webhook timed out after ${this.timeout}ms`))
+      );
+      req.on("error", reject);
+      req.end(body);
+    });
+  }
+}
+
+module.exports = WebhookChannel;
@@ -0,0 +1,45 @@
+/**
+ * Helpers for shipping addresses, which are either free-form strings
+ * ("123 Apple St, Cupertino, CA 95014") or objects with a `region`
+ */
+
+/**
+ * Get the region (state or country code) of an address: the first word
+ * of the last comma-separated part of a string address, or the region of
+ * a structured one
+ * @param {string|Object} [address] - Shipping address
+ * @returns {string|null} Region code, or null without an address
+ */
+function getAddressRegion(address) {
+  if (!address) return null;
+  if (typeof address === "object") {
+    return address.region || null;
+  }
+  const lastPart = address.split(",").pop().trim();
+  return lastPart.split(/\s+/)[0].toUpperCase() || null;
+}
+
+/**
+ * Format an address as a single line, e.g. for tracking event locations.
+ * Structured addresses are joined as "line1, line2, city, region
+ * postalCode, country", skipping missing parts.
+ * @param {string|Object} [address] - Shipping address
+ * @returns {string|undefined} Formatted address, or undefined without one
+ */
+function formatAddress(address) {
+  if (!address) return undefined;
+  if (typeof address !== "object") return String(address);
+  const regionLine = [address.region, address.postalCode]
+    .filter(Boolean)
+    .join(" ");
+  return (
+    [address.line1, address.line2, address.city, regionLine, address.country]
+      .filter(Boolean)
+      .join(", ") || undefined
+  );
+}
+
+module.exports = {
+  getAddressRegion,
+  formatAddress,
+};
@@ -0,0 +1,69 @@
+const { ValidationError } = require("./errors");
+
+/**
+ * Business-day date math for delivery estimates. Dates are compared in
+ * UTC; Saturdays, Sundays and holidays ("YYYY-MM-DD") aren't business days.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Validate a list of holidays
+ * @param {string[]} holidays - Dates as "YYYY-MM-DD"
+ * @returns {Set<string>} The holidays
+ * @throws {ValidationError} If a date is malformed
+ */
+function toHolidaySet(holidays) {
+  holidays.forEach((holiday) => {
+    if (
+      !DATE_PATTERN.test(holiday) ||
+      Number.isNaN(Date.parse(`${holiday}T00:00:00Z`))
+    ) {
+      throw new ValidationError(`Holidays must be YYYY-MM-DD, got ${holiday}`);
+    }
+  });
+  return new Set(holidays);
+}
+
+/**
+ * Check whether a date is a business day
+ * @param {Date} date - Date
+ * @param {Set<string>} [holidays] - Holidays
+ * @returns {boolean} True on weekdays that aren't holidays
+ */
+function isBusinessDay(date, holidays = new Set()) {
+  const day = date.getUTCDay();
+  return (
+    day !== 0 && day !== 6 && !holidays.has(date.toISOString().slice(0, 10))
+  );
+}
+
+/**
+ * Add business days to a date. A date that isn't a business day first
+ * moves to the next one, so parcels handed over on a Saturday count from
+ * Monday.
+ * @param {Date} date - Start date
+ * @param {number} days - Business days to add
+ * @param {Set<string>} [holidays] - Holidays
+ * @returns {Date} The resulting date, at the same time of day
+ */
+function addBusinessDays(date, days, holidays = new Set()) {
+  let result = new Date(date.getTime());
+  while (!isBusinessDay(result, holidays)) {
+    result = new Date(result.getTime() + DAY_MS);
+  }
+  for (let added = 0; added < days; ) {
+    result = new Date(result.getTime() + DAY_MS);
+    if (isBusinessDay(result, holidays)) {
+      added++;
+    }
+  }
+  return result;
+}
+
+module.exports = {
+  toHolidaySet,
+  isBusinessDay,
+  addBusinessDays,
+};
@@ -0,0 +1,81 @@
+/**
+ * Fake carriers that new systems ship with (see FakeCarrier). Rates are
+ * integer cents: baseRate per shipment plus perItem per unit shipped.
+ * Tracking numbers are the prefix followed by the given number of digits.
+ */
+const DEFAULT_CARRIERS = [
+  {
+    code: "PARCELPOST",
+    name: "ParcelPost",
+    tracking: { prefix: "9400", digits: 18 },
+    services: [
+      {
+        service: "Ground Advantage",
+        level: "standard",
+        baseRate: 595,
+        perItem: 75,
+        transitDays: 5,
+      },
+      {
+        service: "Priority",
+        level: "express",
+        baseRate: 995,
+        perItem: 100,
+        transitDays: 2,
+      },
+    ],
+  },
+  {
+    code: "SPEEDY",
+    name: "SpeedyShip",
+    tracking: { prefix: "7", digits: 11 },
+    services: [
+      {
+        service: "Home Delivery",
+        level: "standard",
+        baseRate: 795,
+        perItem: 50,
+        transitDays: 3,
+      },
+      {
+        service: "2Day",
+        level: "express",
+        baseRate: 1495,
+        perItem: 100,
+        transitDays: 2,
+      },
+      {
+        service: "Overnight",
+        level: "overnight",
+        baseRate: 2995,
+        perItem: 150,
+        transitDays: 1,
+      },
+    ],
+  },
+  {
+    code: "UNIEXPRESS",
+    name: "UniExpress",
+    tracking: { prefix: "1ZUEX0", digits: 12 },
+    services: [
+      {
+        service: "Ground",
+        level: "standard",
+        baseRate: 695,
+        perItem: 60,
+        transitDays: 4,
+      },
+      {
+        service: "Next Day Air",
+        level: "overnight",
+        baseRate: 2795,
+        perItem: 200,
+        transitDays: 1,
+      },
+    ],
+  },
+];
+
+module.exports = {
+  DEFAULT_CARRIERS,
+};
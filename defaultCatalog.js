@@ -0,0 +1,45 @@
+/**
+ * Demo catalog that new systems start with. SKUs are stable identifiers:
+ * orders, stock and prices are keyed by SKU, never by display name.
+ */
+const DEFAULT_CATALOG = [
+  {
+    sku: "MACBOOK-PRO",
+    name: "MacBook Pro",
+    category: "laptops",
+    price: 2399.99,
+    stock: 10,
+  },
+  {
+    sku: "IPHONE-15",
+    name: "iPhone 15",
+    category: "phones",
+    price: 999.99,
+    stock: 25,
+  },
+  {
+    sku: "IPAD-AIR",
+    name: "iPad Air",
+    category: "tablets",
+    price: 599.99,
+    stock: 15,
+  },
+  {
+    sku: "AIRPODS-PRO",
+    name: "AirPods Pro",
+    category: "accessories",
+    price: 249.99,
+    stock: 50,
+  },
+  {
+    sku: "APPLE-WATCH",
+    name: "Apple Watch",
+    category: "wearables",
+    price: 399.99,
+    stock: 30,
+  },
+];
+
+module.exports = {
+  DEFAULT_CATALOG,
+};
@@ -0,0 +1,168 @@
+/**
+ * Default email templates, by email type and locale. Each template has a
+ * subject and plain-text and HTML parts (see templateEngine for the
+ * syntax). Values are prepared by EmailService: money is already
+ * formatted and lines are { quantity, name }.
+ */
+
+const LINES_TEXT = "{{#each lines}}\n- {{quantity}} x {{name}}{{/each}}";
+const LINES_HTML =
+  "<ul>{{#each lines}}<li>{{quantity}} x {{name}}</li>{{/each}}</ul>";
+
+/**
+ * Pricing rows for confirmation emails
+ * @param {Object} labels - { subtotal, discount, tax, shipping, total }
+ * @returns {Object} { text, html } pricing snippets
+ */
+function pricingSnippets(labels) {
+  return {
+    text:
+      "{{#if pricing}}" +
+      `\n${labels.subtotal}: {{pricing.subtotal}}` +
+      `{{#if pricing.discount}}\n${labels.discount} ({{pricing.couponCode}}): -{{pricing.discount}}{{/if}}` +
+      `\n${labels.tax}{{#if pricing.taxRegion}} ({{pricing.taxRegion}} {{pricing.taxPercent}}%){{/if}}: {{pricing.tax}}` +
+      `\n${labels.shipping}: {{pricing.shipping}}` +
+      `\n${labels.total}: {{pricing.total}}` +
+      "{{/if}}",
+    html:
+      "{{#if pricing}}<table>" +
+      `<tr><td>${labels.subtotal}</td><td>{{pricing.subtotal}}</td></tr>` +
+      `{{#if pricing.discount}}<tr><td>${labels.discount} ({{pricing.couponCode}})</td><td>-{{pricing.discount}}</td></tr>{{/if}}` +
+      `<tr><td>${labels.tax}{{#if pricing.taxRegion}} ({{pricing.taxRegion}} {{pricing.taxPercent}}%){{/if}}</td><td>{{pricing.tax}}</td></tr>` +
+      `<tr><td>${labels.shipping}</td><td>{{pricing.shipping}}</td></tr>` +
+      `<tr><th>${labels.total}</th><th>{{pricing.total}}</th></tr>` +
+      "</table>{{/if}}",
+  };
+}
+
+const PRICING_EN = pricingSnippets({
+  subtotal: "Subtotal",
+  discount: "Discount",
+  tax: "Tax",
+  shipping: "Shipping",
+  total: "Total",
+});
+const PRICING_ES = pricingSnippets({
+  subtotal: "Subtotal",
+  discount: "Descuento",
+  tax: "Impuestos",
+  shipping: "Envío",
+  total: "Total",
+});
+
+/**
+ * Unsubscribe footer, for emails sent as notifications (the
+ * NotificationService gives each one the customer's unsubscribeUrl)
+ * @param {string} label - Link text
+ * @returns {Object} { text, html } footer snippets
+ */
+function unsubscribeSnippets(label) {
+  return {
+    text: `{{#if unsubscribeUrl}}\n\n${label}: {{unsubscribeUrl}}{{/if}}`,
+    html: `{{#if unsubscribeUrl}}<p><a href="{{unsubscribeUrl}}">${label}</a></p>{{/if}}`,
+  };
+}
+
+const UNSUBSCRIBE_EN = unsubscribeSnippets("Unsubscribe");
+const UNSUBSCRIBE_ES = unsubscribeSnippets("Darse de baja");
+
+const DEFAULT_TEMPLATES = {
+  confirmation: {
+    en: {
+      subject: "Order Confirmation - {{orderId}}",
+      text: `Thank you for your order of:${LINES_TEXT}${PRICING_EN.text}\nWe'll process it shortly.${UNSUBSCRIBE_EN.text}`,
+      html: `<p>Thank you for your order of:</p>${LINES_HTML}${PRICING_EN.html}<p>We'll process it shortly.</p>${UNSUBSCRIBE_EN.html}`,
+    },
+    es: {
+      subject: "Confirmación del pedido - {{orderId}}",
+      text: `Gracias por tu pedido de:${LINES_TEXT}${PRICING_ES.text}\nLo procesaremos en breve.${UNSUBSCRIBE_ES.text}`,
+      html: `<p>Gracias por tu pedido de:</p>${LINES_HTML}${PRICING_ES.html}<p>Lo procesaremos en breve.</p>${UNSUBSCRIBE_ES.html}`,
+    },
+  },
+  shipping: {
+    en: {
+      subject: "Your order {{orderId}} has shipped!",
+      text: `Your order is on its way to {{address}}:${LINES_TEXT}\nTracking: {{trackingNumber}}${UNSUBSCRIBE_EN.text}`,
+      html: `<p>Your order is on its way to {{address}}:</p>${LINES_HTML}<p>Tracking: {{trackingNumber}}</p>${UNSUBSCRIBE_EN.html}`,
+    },
+    es: {
+      subject: "¡Tu pedido {{orderId}} ha sido enviado!",
+      text: `Tu pedido está en camino a {{address}}:${LINES_TEXT}\nSeguimiento: {{trackingNumber}}${UNSUBSCRIBE_ES.text}`,
+      html: `<p>Tu pedido está en camino a {{address}}:</p>${LINES_HTML}<p>Seguimiento: {{trackingNumber}}</p>${UNSUBSCRIBE_ES.html}`,
+    },
+  },
+  status_update: {
+    en: {
+      subject: "Order {{orderId}} {{status}}",
+      text: `Your order status has been updated to: {{status}}{{#if reason}} ({{reason}}){{/if}}${UNSUBSCRIBE_EN.text}`,
+      html: `<p>Your order status has been updated to: <strong>{{status}}</strong>{{#if reason}} ({{reason}}){{/if}}</p>${UNSUBSCRIBE_EN.html}`,
+    },
+    es: {
+      subject: "Pedido {{orderId}}: {{status}}",
+      text: `El estado de tu pedido ha cambiado a: {{status}}{{#if reason}} ({{reason}}){{/if}}${UNSUBSCRIBE_ES.text}`,
+      html: `<p>El estado de tu pedido ha cambiado a: <strong>{{status}}</strong>{{#if reason}} ({{reason}}){{/if}}</p>${UNSUBSCRIBE_ES.html}`,
+    },
+  },
+  return_requested: {
+    en: {
+      subject: "Return {{rmaNumber}} for order {{orderId}}",
+      text: `Your return has been approved:${LINES_TEXT}\nPlease include {{rmaNumber}} in the package. Return tracking: {{trackingNumber}}${UNSUBSCRIBE_EN.text}`,
+      html: `<p>Your return has been approved:</p>${LINES_HTML}<p>Please include <strong>{{rmaNumber}}</strong> in the package. Return tracking: {{trackingNumber}}</p>${UNSUBSCRIBE_EN.html}`,
+    },
+    es: {
+      subject: "Devolución {{rmaNumber}} del pedido {{orderId}}",
+      text: `Tu devolución ha sido aprobada:${LINES_TEXT}\nIncluye {{rmaNumber}} en el paquete. Seguimiento de la devolución: {{trackingNumber}}${UNSUBSCRIBE_ES.text}`,
+      html: `<p>Tu devolución ha sido aprobada:</p>${LINES_HTML}<p>Incluye <strong>{{rmaNumber}}</strong> en el paquete. Seguimiento de la devolución: {{trackingNumber}}</p>${UNSUBSCRIBE_ES.html}`,
+    },
+  },
+  return_received: {
+    en: {
+      subject: "We received your return {{rmaNumber}}",
+      text: `We received your return:${LINES_TEXT}\nA refund of {{refundAmount}} is on its way.${UNSUBSCRIBE_EN.text}`,
+      html: `<p>We received your return:</p>${LINES_HTML}<p>A refund of {{refundAmount}} is on its way.</p>${UNSUBSCRIBE_EN.html}`,
+    },
+    es: {
+      subject: "Hemos recibido tu devolución {{rmaNumber}}",
+      text: `Hemos recibido tu devolución:${LINES_TEXT}\nTe reembolsaremos {{refundAmount}} en breve.${UNSUBSCRIBE_ES.text}`,
+      html: `<p>Hemos recibido tu devolución:</p>${LINES_HTML}<p>Te reembolsaremos {{refundAmount}} en breve.</p>${UNSUBSCRIBE_ES.html}`,
+    },
+  },
+};
+
+// Order used to preview templates; covers the fields of every email type
+const SAMPLE_ORDER = {
+  orderId: "ORD1001",
+  email: "customer@example.com",
+  address: "1 Infinite Loop, Cupertino, CA 95014",
+  lines: [
+    { item: "IPHONE-15", name: "iPhone 15", quantity: 1, unitPrice: 999.99 },
+    {
+      item: "AIRPODS-PRO",
+      name: "AirPods Pro",
+      quantity: 2,
+      unitPrice: 249.99,
+    },
+  ],
+  pricing: {
+    currency: "USD",
+    subtotal: 149997,
+    couponCode: "SAVE10",
+    discount: 15000,
+    taxRegion: "CA",
+    taxRate: 725,
+    tax: 9787,
+    shipping: 0,
+    total: 144784,
+  },
+  trackingNumber: "TRK1700000000000",
+  status: "delivered",
+  reason: null,
+  rmaNumber: "RMA1",
+  refundAmount: 24130,
+  unsubscribeUrl: "http://localhost:3000/unsubscribe/sample-token",
+};
+
+module.exports = {
+  DEFAULT_TEMPLATES,
+  SAMPLE_ORDER,
+};
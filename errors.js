@@ -0,0 +1,103 @@
+/**
+ * Typed errors raised by the order system services
+ */
+
+/**
+ * Base class for all order system errors
+ */
+class OrderSystemError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+  }
+}
+
+/**
+ * Raised when input data fails validation
+ */
+class ValidationError extends OrderSystemError {
+  constructor(message) {
+    super(message, "VALIDATION_ERROR");
+  }
+}
+
+/**
+ * Raised when creating an order whose ID is already taken
+ */
+class DuplicateOrderError extends OrderSystemError {
+  constructor(orderId) {
+    super(`Order ${orderId} already exists`, "DUPLICATE_ORDER");
+    this.orderId = orderId;
+  }
+}
+
+/**
+ * Raised when an operation references something that doesn't exist
+ */
+class NotFoundError extends OrderSystemError {
+  constructor(message, code = "NOT_FOUND") {
+    super(message, code);
+  }
+}
+
+/**
+ * Raised when an operation references an order that doesn't exist
+ */
+class OrderNotFoundError extends NotFoundError {
+  constructor(orderId) {
+    super(`Order ${orderId} not found`, "ORDER_NOT_FOUND");
+    this.orderId = orderId;
+  }
+}
+
+/**
+ * Raised when an order status change isn't allowed by the state machine
+ */
+class InvalidTransitionError extends OrderSystemError {
+  constructor(orderId, from, to) {
+    super(
+      `Order ${orderId} cannot transition from ${from} to ${to}`,
+      "INVALID_TRANSITION"
+    );
+    this.orderId = orderId;
+    this.from = from;
+    this.to = to;
+  }
+}
+
+/**
+ * Raised by email transports when a message can't be delivered. Permanent
+ * failures (e.g. an unknown mailbox) bounce the email; anything else is
+ * retried.
+ */
+class EmailDeliveryError extends OrderSystemError {
+  constructor(message, options = {}) {
+    super(
+      message,
+      options.permanent ? "EMAIL_BOUNCED" : "EMAIL_DELIVERY_FAILED"
+    );
+    this.permanent = Boolean(options.permanent);
+    this.responseCode = options.responseCode;
+  }
+}
+
+/**
+ * Raised when a webhook's signature doesn't match its body
+ */
+class WebhookSignatureError extends OrderSystemError {
+  constructor(message = "Invalid webhook signature") {
+    super(message, "INVALID_SIGNATURE");
+  }
+}
+
+module.exports = {
+  OrderSystemError,
+  ValidationError,
+  DuplicateOrderError,
+  NotFoundError,
+  OrderNotFoundError,
+  InvalidTransitionError,
+  EmailDeliveryError,
+  WebhookSignatureError,
+};
@@ -0,0 +1,33 @@
+/**
+ * Check whether an event name is a wildcard pattern
+ * @param {string} eventName - Event name or pattern
+ * @returns {boolean} True if the name contains a "*" segment
+ */
+function isPattern(eventName) {
+  return eventName.includes("*");
+}
+
+/**
+ * Check whether a concrete event name matches a subscription pattern.
+ * "*" on its own matches every event; otherwise each ":"-separated
+ * segment must match, with "*" matching any single segment
+ * (e.g. "order:*", "*:failed").
+ * @param {string} pattern - Subscription pattern
+ * @param {string} eventName - Concrete event name
+ * @returns {boolean} True if the event matches
+ */
+function matchesPattern(pattern, eventName) {
+  if (pattern === "*") {
+    return true;
+  }
+  const patternSegments = pattern.split(":");
+  const eventSegments = eventName.split(":");
+  return (
+    patternSegments.length === eventSegments.length &&
+    patternSegments.every(
+      (segment, index) => segment === "*" || segment === eventSegments[index]
+    )
+  );
+}
+
+module.exports = { isPattern, matchesPattern };
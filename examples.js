@@ -70,27 +70,48 @@ function serviceIntegrationExample() {
   }, 100);
 }
 
-// Example 4: Custom Service
+// Example 4: Order Cancellation
+function cancellationExample() {
+  console.log("\n=== Order Cancellation Example ===");
+
+  const { orderService, inventoryService } = initializeOrderSystem();
+
+  orderService.createOrder({
+    orderId: "CANCEL001",
+    email: "cancel@example.com",
+    lines: [{ item: "iPad Air", quantity: 2 }],
+    address: "321 Refund Rd, Return City, WA",
+  });
+
+  // Cancel before the shipment leaves - stock goes back to inventory
+  const order = orderService.cancelOrder("CANCEL001", "Ordered by mistake");
+  console.log(`Order ${order.orderId} is now ${order.status}`);
+  console.log(
+    "Released reservations:",
+    inventoryService.getReservationsByStatus("released")
+  );
+}
+
+// Example 5: Custom Service
 class LoggingService {
   constructor(eventBus) {
     this.eventBus = eventBus;
     this.logs = [];
 
-    // Listen to all order events
-    this.eventBus.on("order:created", this.logEvent.bind(this));
-    this.eventBus.on("order:shipped", this.logEvent.bind(this));
-    this.eventBus.on("order:delivered", this.logEvent.bind(this));
+    // Listen to every event in the system with a catch-all pattern
+    this.eventBus.on("*", this.logEvent.bind(this));
   }
 
-  logEvent(data) {
+  logEvent(data, eventName) {
     const logEntry = {
       timestamp: new Date().toISOString(),
-      event: data.orderId ? `Order ${data.orderId}` : "System event",
+      eventName,
+      event: data && data.orderId ? `Order ${data.orderId}` : "System event",
       data: data,
     };
 
     this.logs.push(logEntry);
-    console.log(`[Logger] ${logEntry.event} logged`);
+    console.log(`[Logger] ${eventName}: ${logEntry.event} logged`);
   }
 
   getLogs() {
@@ -125,6 +146,7 @@ if (require.main === module) {
   basicOrderExample();
   errorHandlingExample();
   serviceIntegrationExample();
+  cancellationExample();
   customServiceExample();
 }
 
@@ -132,6 +154,7 @@ module.exports = {
   basicOrderExample,
   errorHandlingExample,
   serviceIntegrationExample,
+  cancellationExample,
   customServiceExample,
   LoggingService,
 };
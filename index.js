@@ -3,48 +3,311 @@
  * Demonstrates event-driven order processing system
  */
 
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
 // Import all services
 const EventBus = require("./EventBus");
 const OrderService = require("./OrderService");
 const EmailService = require("./EmailService");
+const MemoryTransport = require("./MemoryTransport");
+const FileTransport = require("./FileTransport");
+const SmtpTransport = require("./SmtpTransport");
+const NotificationService = require("./NotificationService");
+const SmsChannel = require("./SmsChannel");
+const WebhookChannel = require("./WebhookChannel");
 const ShippingService = require("./ShippingService");
+const FakeCarrier = require("./FakeCarrier");
 const InventoryService = require("./InventoryService");
+const PaymentService = require("./PaymentService");
+const FakePaymentGateway = require("./FakePaymentGateway");
+const PricingEngine = require("./PricingEngine");
+const ReturnService = require("./ReturnService");
+const { formatMoney } = require("./money");
+const OrderSaga = require("./OrderSaga");
+const EventLog = require("./EventLog");
+const StockLedger = require("./StockLedger");
+const CatalogService = require("./CatalogService");
+const InMemoryRepository = require("./InMemoryRepository");
+const FileRepository = require("./FileRepository");
+const ApiServer = require("./ApiServer");
+const EventStream = require("./EventStream");
+const SystemClock = require("./SystemClock");
+const VirtualClock = require("./VirtualClock");
+const {
+  ValidationError,
+  DuplicateOrderError,
+  NotFoundError,
+  OrderNotFoundError,
+  InvalidTransitionError,
+  EmailDeliveryError,
+  WebhookSignatureError,
+} = require("./errors");
+
+/**
+ * Create a repository for one collection of service data
+ * @param {Object} options - System options ({ storage, dataDir })
+ * @param {string} name - Collection name, used as the file name
+ * @returns {InMemoryRepository} Repository instance
+ */
+function createRepository(options, name) {
+  if (options.storage === "file") {
+    return new FileRepository(path.join(getDataDir(options), `${name}.json`));
+  }
+  return new InMemoryRepository();
+}
+
+/**
+ * Get the directory file storage keeps its data in
+ * @param {Object} options - System options ({ dataDir })
+ * @returns {string} Directory path
+ */
+function getDataDir(options) {
+  return options.dataDir || path.join(process.cwd(), "data");
+}
+
+/**
+ * Get the secret customer tokens are signed with: the configured one, the
+ * CUSTOMER_TOKEN_SECRET environment variable, or one kept next to the
+ * stored data (created on first start), so issued tokens keep working
+ * after a restart. Systems that keep nothing between restarts get a
+ * random secret.
+ * @param {Object} options - System options ({ customerTokenSecret,
+ *   storage, dataDir, eventLogPath })
+ * @returns {string|undefined} Secret, or undefined for a random one
+ */
+function getCustomerTokenSecret(options) {
+  const configured =
+    options.customerTokenSecret || process.env.CUSTOMER_TOKEN_SECRET;
+  if (configured) return configured;
+  if (options.storage !== "file" && !options.eventLogPath) return undefined;
+
+  const dir =
+    options.storage === "file"
+      ? getDataDir(options)
+      : path.dirname(options.eventLogPath);
+  const secretPath = path.join(dir, "customer-token-secret");
+  fs.mkdirSync(dir, { recursive: true });
+  try {
+    fs.writeFileSync(secretPath, crypto.randomBytes(32).toString("hex"), {
+      flag: "wx",
+      mode: 0o600,
+    });
+  } catch (error) {
+    if (error.code !== "EEXIST") throw error;
+  }
+  return fs.readFileSync(secretPath, "utf8").trim();
+}
 
 /**
  * Initialize the order system
+ * @param {Object} [options] - System options
+ * @param {string} [options.storage] - "memory" (default) or "file"
+ * @param {string} [options.dataDir] - Directory for file storage (default: ./data)
+ * @param {string} [options.eventLogPath] - JSON Lines file to persist events to.
+ *   With in-memory storage, service state is rebuilt from it on startup.
+ * @param {Object} [options.paymentGateway] - Payment gateway (default: FakePaymentGateway)
+ * @param {Object} [options.paymentCaptureRetry] - Retry policy for failed
+ *   payment captures (see PaymentService)
+ * @param {Object} [options.pricing] - Coupons, tax rules and shipping rates
+ *   (see PricingEngine)
+ * @param {number} [options.reservationTtl] - Ms an unpaid reservation is
+ *   held (default: 15 minutes, 0 to never expire)
+ * @param {boolean} [options.backorders] - Queue out-of-stock orders until
+ *   stock arrives instead of failing them
+ * @param {Object[]} [options.warehouses] - Warehouses stock is kept in
+ *   (see InventoryService)
+ * @param {string} [options.allocationStrategy] - How orders are assigned to
+ *   warehouses: "nearest" (default), "most_stock" or "split"
+ * @param {Object} [options.emailTemplates] - Email templates by type and
+ *   locale, added to or replacing the defaults (see EmailService)
+ * @param {string} [options.defaultLocale] - Email locale for orders without
+ *   a `locale` (default: "en")
+ * @param {Object} [options.emailTransport] - Delivers emails (default:
+ *   MemoryTransport; see also FileTransport and SmtpTransport)
+ * @param {string} [options.emailFrom] - Sender mailbox for emails
+ * @param {Object} [options.emailRetry] - Retry policy for failed email
+ *   deliveries (see EmailService)
+ * @param {Object[]} [options.carriers] - Shipping carriers (default: fake
+ *   carriers; see FakeCarrier)
+ * @param {string} [options.rateShopping] - "cheapest" (default) or
+ *   "fastest" carrier service for orders without a shippingPreference
+ * @param {string[]} [options.holidays] - Non-delivery dates ("YYYY-MM-DD")
+ *   for delivery estimates
+ * @param {Object} [options.carrierWebhookSecrets] - Shared secrets that
+ *   sign carrier tracking webhooks, keyed by carrier code
+ * @param {boolean} [options.simulateTracking] - Make up tracking events
+ *   until shipments are delivered (default: true)
+ * @param {Object} [options.smsGateway] - Sends text messages (default:
+ *   kept in memory; see SmsChannel)
+ * @param {string} [options.customerTokenSecret] - Secret customer
+ *   unsubscribe and preference tokens are signed with (default: the
+ *   CUSTOMER_TOKEN_SECRET environment variable, or a secret stored with
+ *   the data; see getCustomerTokenSecret)
+ * @param {string} [options.unsubscribeUrl] - Base URL of the unsubscribe
+ *   links in notifications (default: "http://localhost:3000/unsubscribe")
+ * @param {number} [options.returnWindowDays] - Days after delivery that
+ *   returns are accepted (default: 30)
+ * @param {Object} [options.clock] - Clock every service takes its time and
+ *   timers from (default: a SystemClock; see VirtualClock for tests)
  */
-function initializeOrderSystem() {
+function initializeOrderSystem(options = {}) {
+  const clock = options.clock || new SystemClock();
   // Create event bus - the central communication hub
-  const eventBus = new EventBus();
+  const eventLog = options.eventLogPath
+    ? new EventLog(options.eventLogPath, { clock })
+    : null;
+  const eventBus = new EventBus({ eventLog, clock });
 
-  // Create service instances, injecting eventBus dependency
-  const orderService = new OrderService(eventBus);
-  const emailService = new EmailService(eventBus);
-  const shippingService = new ShippingService(eventBus);
-  const inventoryService = new InventoryService(eventBus);
+  // Orders are checked against and priced from the product catalog
+  const catalogService = new CatalogService(eventBus, {
+    products: createRepository(options, "products"),
+  });
+  const pricingEngine = new PricingEngine({
+    ...options.pricing,
+    getUnitPrice: (sku) => {
+      const sellable = catalogService.getSellable(sku);
+      return sellable && sellable.price;
+    },
+  });
+
+  // Create service instances, injecting eventBus and storage dependencies
+  const orderService = new OrderService(
+    eventBus,
+    { orders: createRepository(options, "orders") },
+    pricingEngine,
+    catalogService,
+    { clock }
+  );
+  // The saga coordinates reserve → pay → ship → deliver across the services
+  const orderSaga = new OrderSaga(eventBus, orderService, {
+    requirePayment: true,
+    repository: createRepository(options, "sagas"),
+    clock,
+  });
+  const emailService = new EmailService(
+    eventBus,
+    { emails: createRepository(options, "emails") },
+    {
+      templates: options.emailTemplates,
+      defaultLocale: options.defaultLocale,
+      transport: options.emailTransport,
+      from: options.emailFrom,
+      retry: options.emailRetry,
+      listen: false,
+      clock,
+    }
+  );
+  // Customers choose which notifications they get and through which channels
+  const notificationService = new NotificationService(
+    eventBus,
+    {
+      preferences: createRepository(options, "notification-preferences"),
+      notifications: createRepository(options, "notifications"),
+    },
+    {
+      channels: [
+        emailService,
+        new SmsChannel({ gateway: options.smsGateway }),
+        new WebhookChannel(),
+      ],
+      tokenSecret: getCustomerTokenSecret(options),
+      unsubscribeUrl: options.unsubscribeUrl,
+      clock,
+    }
+  );
+  const shippingService = new ShippingService(
+    eventBus,
+    {
+      shipments: createRepository(options, "shipments"),
+      returnShipments: createRepository(options, "return-shipments"),
+    },
+    {
+      carriers: options.carriers,
+      rateShopping: options.rateShopping,
+      holidays: options.holidays,
+      webhookSecrets: options.carrierWebhookSecrets,
+      simulateTracking: options.simulateTracking,
+      clock,
+    }
+  );
+  const inventoryService = new InventoryService(
+    eventBus,
+    {
+      inventory: createRepository(options, "inventory"),
+      reservations: createRepository(options, "reservations"),
+      backorders: createRepository(options, "backorders"),
+      ledger: createRepository(options, "stock-ledger"),
+    },
+    {
+      reservationTtl: options.reservationTtl,
+      backorders: options.backorders,
+      warehouses: options.warehouses,
+      allocationStrategy: options.allocationStrategy,
+      clock,
+    }
+  );
+  const paymentService = new PaymentService(
+    eventBus,
+    { payments: createRepository(options, "payments") },
+    options.paymentGateway,
+    { captureRetry: options.paymentCaptureRetry, clock }
+  );
+  const returnService = new ReturnService(eventBus, orderService, {
+    returnWindowDays: options.returnWindowDays,
+    repository: createRepository(options, "returns"),
+    clock,
+    getReservation: (orderId) => inventoryService.reservations.get(orderId),
+  });
+
+  // Rebuild state from previous runs without re-running side effects.
+  // File storage already holds the state, so replaying would apply
+  // every event twice.
+  if (eventLog && options.storage !== "file") {
+    const replayed = eventBus.replay();
+    console.log(
+      `[OrderSystem] Replayed ${replayed} events from ${eventLog.filePath}`
+    );
+  }
+  // Timers and email deliveries don't survive a restart: catch up on what
+  // came due and schedule the rest
+  inventoryService.releaseExpiredReservations();
+  emailService.processOutbox();
+  notificationService.sendDueNotifications();
 
   return {
     eventBus,
+    clock,
+    catalogService,
     orderService,
+    orderSaga,
     emailService,
+    notificationService,
     shippingService,
     inventoryService,
+    paymentService,
+    returnService,
   };
 }
 
 /**
- * Run the demo
+ * Run the demo on a virtual clock, so the 8 seconds it covers pass
+ * instantly
+ * @returns {Promise<void>} Resolves once the demo has finished
  */
-function runDemo() {
+async function runDemo() {
   console.log("=== Order System Demo ===\n");
 
+  const clock = new VirtualClock();
   const {
     eventBus,
     orderService,
     emailService,
     shippingService,
     inventoryService,
-  } = initializeOrderSystem();
+    paymentService,
+  } = initializeOrderSystem({ clock });
 
   // Register additional event listeners for demo
   eventBus.on("inventory:low_stock", (data) => {
@@ -53,58 +316,63 @@ function runDemo() {
     );
   });
 
-  eventBus.on("order:delivered", (shipmentData) => {
-    orderService.updateOrderStatus(shipmentData.orderId, "delivered");
-  });
-
   try {
     // Create first order
     console.log("🛒 Creating first order...");
     const order1 = orderService.createOrder({
       orderId: "ORD123",
       email: "user@example.com",
-      item: "MacBook Pro",
+      item: "MACBOOK-PRO",
       address: "123 Apple St, Cupertino, CA",
     });
 
     // Create second order after a delay
-    setTimeout(() => {
+    clock.schedule(() => {
       console.log("\n🛒 Creating second order...");
       const order2 = orderService.createOrder({
         orderId: "ORD124",
         email: "jane@example.com",
-        item: "iPhone 15",
+        lines: [
+          { item: "IPHONE-15", quantity: 1 },
+          { item: "AIRPODS-PRO", quantity: 2 },
+        ],
+        couponCode: "SAVE10",
         address: "456 Oak St, San Francisco, CA",
       });
     }, 2000);
 
     // Create third order to test low stock
-    setTimeout(() => {
+    clock.schedule(() => {
       console.log("\n🛒 Creating multiple orders to test inventory...");
       for (let i = 1; i <= 3; i++) {
         orderService.createOrder({
           orderId: `ORD12${4 + i}`,
           email: `customer${i}@example.com`,
-          item: "iPad Air",
+          item: "IPAD-AIR",
           address: `${100 + i} Main St, Tech City, CA`,
         });
       }
     }, 4000);
 
     // Show system state after all processing
-    setTimeout(() => {
+    clock.schedule(() => {
       console.log("\n" + "=".repeat(50));
       console.log("📊 FINAL SYSTEM STATE");
       console.log("=".repeat(50));
 
       console.log("\n📋 Orders:");
       orderService.getAllOrders().forEach((order) => {
-        console.log(`  - ${order.orderId}: ${order.item} (${order.status})`);
+        const items = order.lines
+          .map((line) => `${line.quantity} x ${line.name || line.item}`)
+          .join(", ");
+        console.log(`  - ${order.orderId}: ${items} (${order.status})`);
       });
 
       console.log("\n📦 Inventory:");
       inventoryService.getInventory().forEach((item) => {
-        console.log(`  - ${item.item}: ${item.stock} units @ $${item.price}`);
+        console.log(
+          `  - ${item.name} (${item.item}): ${item.stock} units @ $${item.price}`
+        );
       });
 
       console.log("\n📧 Email Summary:");
@@ -129,10 +397,22 @@ function runDemo() {
         console.log(`  - ${status}: ${count} shipments`);
       });
 
+      console.log("\n💳 Payment Summary:");
+      paymentService.getAllPayments().forEach((payment) => {
+        console.log(
+          `  - ${payment.orderId}: ${formatMoney(
+            payment.amount,
+            payment.currency
+          )} (${payment.status})`
+        );
+      });
+
       console.log("\n🎯 Active Events:", eventBus.getEvents().join(", "));
 
       console.log("\n✅ Demo completed successfully!");
     }, 8000);
+
+    await clock.advance(8000);
   } catch (error) {
     console.error("❌ Error in demo:", error.message);
   }
@@ -148,7 +428,35 @@ if (require.main === module) {
     EventBus,
     OrderService,
     EmailService,
+    MemoryTransport,
+    FileTransport,
+    SmtpTransport,
+    NotificationService,
+    SmsChannel,
+    WebhookChannel,
     ShippingService,
+    FakeCarrier,
     InventoryService,
+    PaymentService,
+    FakePaymentGateway,
+    PricingEngine,
+    ReturnService,
+    CatalogService,
+    OrderSaga,
+    EventLog,
+    StockLedger,
+    InMemoryRepository,
+    FileRepository,
+    ApiServer,
+    EventStream,
+    SystemClock,
+    VirtualClock,
+    ValidationError,
+    DuplicateOrderError,
+    NotFoundError,
+    OrderNotFoundError,
+    InvalidTransitionError,
+    EmailDeliveryError,
+    WebhookSignatureError,
   };
 }
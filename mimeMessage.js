@@ -0,0 +1,125 @@
+/**
+ * Build RFC 5322 email messages for the email transports. Bodies are
+ * base64-encoded UTF-8; emails with an HTML part are sent as
+ * multipart/alternative with the plain-text part first.
+ */
+
+const { EmailDeliveryError } = require("./errors");
+
+const LINE_LENGTH = 76;
+
+// RFC 5322 dot-atom addr-spec; quoted local parts and address literals
+// aren't accepted
+const ADDRESS_PATTERN =
+  /^[A-Za-z0-9!#$%&'*+/=?^_`{|}~-]+(\.[A-Za-z0-9!#$%&'*+/=?^_`{|}~-]+)*@[A-Za-z0-9]([A-Za-z0-9-]*[A-Za-z0-9])?(\.[A-Za-z0-9]([A-Za-z0-9-]*[A-Za-z0-9])?)+$/;
+
+/**
+ * Get the bare address from "Name <address>" or "address"
+ * @param {string} mailbox - Mailbox
+ * @returns {string} Email address
+ */
+function getAddress(mailbox) {
+  const match = /<([^<>]+)>\s*$/.exec(mailbox);
+  return (match ? match[1] : mailbox).trim();
+}
+
+/**
+ * Check whether a string is a plain email address (addr-spec)
+ * @param {string} address - Address to check
+ * @returns {boolean} True if the address is valid
+ */
+function isEmailAddress(address) {
+  return typeof address === "string" && ADDRESS_PATTERN.test(address);
+}
+
+/**
+ * Check that a mailbox is safe to put in a header or SMTP command: no line
+ * breaks (which would inject headers or commands) and a valid address
+ * @param {string} mailbox - Mailbox, "Name <address>" or "address"
+ * @param {string} field - Field name for the error message
+ * @throws {EmailDeliveryError} Permanent error if the mailbox is invalid
+ */
+function checkMailbox(mailbox, field) {
+  if (
+    typeof mailbox !== "string" ||
+    /[\x00-\x1f\x7f]/.test(mailbox) ||
+    !isEmailAddress(getAddress(mailbox))
+  ) {
+    throw new EmailDeliveryError(
+      `Invalid ${field} address: ${JSON.stringify(mailbox)}`,
+      { permanent: true }
+    );
+  }
+}
+
+/**
+ * Encode a header value as an RFC 2047 encoded word if it isn't plain ASCII
+ * @param {string} value - Header value
+ * @returns {string} Encoded value
+ */
+function encodeHeader(value) {
+  if (/^[\x20-\x7e]*$/.test(value)) return value;
+  return `=?UTF-8?B?${Buffer.from(value, "utf8").toString("base64")}?=`;
+}
+
+/**
+ * Build a base64-encoded body part
+ * @param {string} contentType - MIME type of the part
+ * @param {string} content - Part content
+ * @returns {string} Part headers and body
+ */
+function buildPart(contentType, content) {
+  const encoded = Buffer.from(content, "utf8").toString("base64");
+  const lines = [];
+  for (let i = 0; i < encoded.length; i += LINE_LENGTH) {
+    lines.push(encoded.slice(i, i + LINE_LENGTH));
+  }
+  return [
+    `Content-Type: ${contentType}; charset=utf-8`,
+    "Content-Transfer-Encoding: base64",
+    "",
+    ...lines,
+  ].join("\r\n");
+}
+
+/**
+ * Build the raw message for an email
+ * @param {Object} message - { messageId, from, to, subject, text, html, date }
+ * @returns {string} Message with CRLF line endings
+ * @throws {EmailDeliveryError} If the From or To mailbox is invalid
+ */
+function buildMessage(message) {
+  checkMailbox(message.from, "From");
+  checkMailbox(message.to, "To");
+  const headers = [
+    `From: ${message.from}`,
+    `To: ${message.to}`,
+    `Subject: ${encodeHeader(message.subject)}`,
+    `Date: ${new Date(message.date || Date.now()).toUTCString()}`,
+    `Message-ID: <${message.messageId}>`,
+    "MIME-Version: 1.0",
+  ].join("\r\n");
+  const text = buildPart("text/plain", message.text);
+  if (!message.html) {
+    return `${headers}\r\n${text}`;
+  }
+
+  const boundary = `=_${Buffer.from(message.messageId).toString("hex")}`;
+  return [
+    headers,
+    `Content-Type: multipart/alternative; boundary="${boundary}"`,
+    "",
+    `--${boundary}`,
+    text,
+    `--${boundary}`,
+    buildPart("text/html", message.html),
+    `--${boundary}--`,
+  ].join("\r\n");
+}
+
+module.exports = {
+  getAddress,
+  isEmailAddress,
+  checkMailbox,
+  buildMessage,
+};
@@ -0,0 +1,31 @@
+/**
+ * Helpers for money amounts. Amounts are integer cents so sums don't
+ * pick up floating-point drift (0.1 + 0.2 !== 0.3).
+ */
+
+/**
+ * Convert a decimal amount (e.g. a catalog price of 2399.99) to cents
+ * @param {number} amount - Amount in major units
+ * @returns {number} Integer cents
+ */
+function toCents(amount) {
+  return Math.round(amount * 100);
+}
+
+/**
+ * Format cents for display, e.g. 239999 → "$2,399.99"
+ * @param {number} cents - Integer cents
+ * @param {string} [currency] - ISO currency code (default: USD)
+ * @param {string} [locale] - Locale to format for (default: en-US)
+ * @returns {string} Formatted amount
+ */
+function formatMoney(cents, currency = "USD", locale = "en-US") {
+  return new Intl.NumberFormat(locale, { style: "currency", currency }).format(
+    cents / 100
+  );
+}
+
+module.exports = {
+  toCents,
+  formatMoney,
+};
@@ -0,0 +1,39 @@
+/**
+ * Helpers for working with order lines ({ item, name, quantity, unitPrice }),
+ * where item is the SKU and name the product name to show customers
+ */
+
+/**
+ * Get the lines of an order, falling back to a single line for
+ * legacy single-item orders ({ item })
+ * @param {Object} orderData - Order information
+ * @returns {Object[]} Array of order lines
+ */
+function getOrderLines(orderData) {
+  if (Array.isArray(orderData.lines) && orderData.lines.length > 0) {
+    return orderData.lines;
+  }
+  if (orderData.item) {
+    const quantity = orderData.quantity === undefined ? 1 : orderData.quantity;
+    return [{ item: orderData.item, quantity }];
+  }
+  return [];
+}
+
+/**
+ * Total the requested quantity per item, so the same item appearing on
+ * several lines is checked against stock once
+ * @param {Object[]} lines - Order lines
+ * @returns {Map<string, number>} Map of item name to total quantity
+ */
+function getQuantitiesByItem(lines) {
+  return lines.reduce((quantities, line) => {
+    quantities.set(line.item, (quantities.get(line.item) || 0) + line.quantity);
+    return quantities;
+  }, new Map());
+}
+
+module.exports = {
+  getOrderLines,
+  getQuantitiesByItem,
+};
@@ -0,0 +1,51 @@
+/**
+ * Order state machine - the statuses an order can be in and the
+ * transitions allowed between them
+ *
+ *   created → reserved → paid → shipped → delivered → returned
+ *
+ * Orders can be cancelled until they ship, and fail at any step
+ * before delivery.
+ */
+
+const ORDER_TRANSITIONS = {
+  created: ["reserved", "cancelled", "failed"],
+  // "shipped" is allowed directly when the saga runs without a payment step
+  reserved: ["paid", "shipped", "cancelled", "failed"],
+  paid: ["shipped", "cancelled", "failed"],
+  shipped: ["delivered", "failed"],
+  delivered: ["returned"],
+  cancelled: [],
+  failed: [],
+  returned: [],
+};
+
+const ORDER_STATUSES = Object.keys(ORDER_TRANSITIONS);
+
+/**
+ * Check whether an order may move from one status to another
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @returns {boolean} True if the transition is allowed
+ */
+function canTransition(from, to) {
+  const allowed = ORDER_TRANSITIONS[from];
+  return Boolean(allowed) && allowed.includes(to);
+}
+
+/**
+ * Check whether a status is terminal (no further transitions)
+ * @param {string} status - Order status
+ * @returns {boolean} True if no transitions leave this status
+ */
+function isTerminal(status) {
+  const allowed = ORDER_TRANSITIONS[status];
+  return Boolean(allowed) && allowed.length === 0;
+}
+
+module.exports = {
+  ORDER_TRANSITIONS,
+  ORDER_STATUSES,
+  canTransition,
+  isTerminal,
+};
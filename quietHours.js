@@ -0,0 +1,96 @@
+const { ValidationError } = require("./errors");
+
+/**
+ * Quiet hours - a daily window in a customer's time zone during which
+ * notifications are held back: { start: "22:00", end: "07:00", timeZone }.
+ * Windows may wrap past midnight.
+ */
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const MINUTES_PER_DAY = 24 * 60;
+
+/**
+ * Convert "HH:MM" to minutes after midnight
+ * @param {string} time - Time of day
+ * @returns {number} Minutes after midnight
+ */
+function toMinutes(time) {
+  const [, hours, minutes] = TIME_PATTERN.exec(time);
+  return Number(hours) * 60 + Number(minutes);
+}
+
+/**
+ * Validate quiet hours and fill in the time zone
+ * @param {Object} quietHours - { start, end, timeZone } (timeZone defaults to "UTC")
+ * @returns {Object} Normalized quiet hours
+ * @throws {ValidationError} If a time or the time zone is invalid
+ */
+function validateQuietHours(quietHours) {
+  const { start, end, timeZone = "UTC" } = quietHours || {};
+  [start, end].forEach((time) => {
+    if (typeof time !== "string" || !TIME_PATTERN.test(time)) {
+      throw new ValidationError(`Quiet hours need HH:MM times, got ${time}`);
+    }
+  });
+  if (start === end) {
+    throw new ValidationError("Quiet hours can't start and end together");
+  }
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+  } catch (error) {
+    throw new ValidationError(`Unknown time zone: ${timeZone}`);
+  }
+  return { start, end, timeZone };
+}
+
+/**
+ * Get the time of day in a time zone
+ * @param {Date} date - Moment in time
+ * @param {string} timeZone - IANA time zone
+ * @returns {number} Minutes after local midnight (with fractional seconds)
+ */
+function getLocalMinutes(date, timeZone) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+    hourCycle: "h23",
+  }).formatToParts(date);
+  const part = (type) =>
+    Number(parts.find((other) => other.type === type).value);
+  return part("hour") * 60 + part("minute") + part("second") / 60;
+}
+
+/**
+ * Check whether a moment falls within quiet hours
+ * @param {Object|null} quietHours - Validated quiet hours, or null for none
+ * @param {Date} date - Moment in time
+ * @returns {boolean} True if notifications should be held back
+ */
+function isQuietTime(quietHours, date) {
+  if (!quietHours) return false;
+  const now = getLocalMinutes(date, quietHours.timeZone);
+  const start = toMinutes(quietHours.start);
+  const end = toMinutes(quietHours.end);
+  return start < end ? now >= start && now < end : now >= start || now < end;
+}
+
+/**
+ * Get when the current quiet hours end
+ * @param {Object} quietHours - Validated quiet hours
+ * @param {Date} date - Moment within quiet hours
+ * @returns {Date} End of the quiet hours
+ */
+function getQuietHoursEnd(quietHours, date) {
+  const now = getLocalMinutes(date, quietHours.timeZone);
+  const minutesLeft =
+    (toMinutes(quietHours.end) - now + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+  return new Date(date.getTime() + Math.ceil(minutesLeft * 60) * 1000);
+}
+
+module.exports = {
+  validateQuietHours,
+  isQuietTime,
+  getQuietHoursEnd,
+};
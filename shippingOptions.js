@@ -0,0 +1,39 @@
+const { ValidationError } = require("./errors");
+
+/**
+ * Shipping choices customers make on an order: how fast it ships
+ * (`serviceLevel`) and whether the cheapest or the fastest carrier service
+ * at that level is used (`shippingPreference`).
+ */
+
+const SERVICE_LEVELS = ["standard", "express", "overnight"];
+const SHIPPING_PREFERENCES = ["cheapest", "fastest"];
+
+/**
+ * Check an order's shipping choices
+ * @param {Object} orderData - Order with optional serviceLevel and
+ *   shippingPreference
+ * @throws {ValidationError} If either is unknown
+ */
+function validateShippingOptions(orderData) {
+  const { serviceLevel, shippingPreference } = orderData;
+  if (serviceLevel !== undefined && !SERVICE_LEVELS.includes(serviceLevel)) {
+    throw new ValidationError(
+      `serviceLevel must be one of: ${SERVICE_LEVELS.join(", ")}`
+    );
+  }
+  if (
+    shippingPreference !== undefined &&
+    !SHIPPING_PREFERENCES.includes(shippingPreference)
+  ) {
+    throw new ValidationError(
+      `shippingPreference must be one of: ${SHIPPING_PREFERENCES.join(", ")}`
+    );
+  }
+}
+
+module.exports = {
+  SERVICE_LEVELS,
+  SHIPPING_PREFERENCES,
+  validateShippingOptions,
+};
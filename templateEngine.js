@@ -0,0 +1,191 @@
+/**
+ * Minimal logic-light template engine for emails:
+ * - {{path.to.value}} interpolates a value (HTML-escaped when rendering HTML)
+ * - {{{path}}} interpolates without escaping
+ * - {{#if path}}…{{else}}…{{/if}} and {{#unless path}}…{{/unless}}
+ * - {{#each path}}…{{/each}} loops over an array; inside, names resolve
+ *   against the current element first, {{this}} is the element itself and
+ *   {{@index}} / {{@number}} are its 0- and 1-based positions
+ */
+
+const TAG_PATTERN = /\{\{\{\s*([^}]+?)\s*\}\}\}|\{\{\s*([#/]?)([^}]*?)\s*\}\}/g;
+const BLOCKS = ["if", "unless", "each"];
+
+// Compiled templates, keyed by source
+const compiled = new Map();
+
+/**
+ * Parse a template into a tree of text, value and block nodes
+ * @param {string} source - Template source
+ * @returns {Object[]} Parsed nodes
+ * @throws {Error} If blocks are unknown, unclosed or mismatched
+ */
+function parse(source) {
+  const root = { children: [] };
+  const stack = [root];
+  let lastIndex = 0;
+  let match;
+
+  TAG_PATTERN.lastIndex = 0;
+  while ((match = TAG_PATTERN.exec(source)) !== null) {
+    const current = stack[stack.length - 1];
+    if (match.index > lastIndex) {
+      current.children.push({
+        type: "text",
+        value: source.slice(lastIndex, match.index),
+      });
+    }
+    lastIndex = TAG_PATTERN.lastIndex;
+
+    const [, rawPath, marker, expression] = match;
+    if (rawPath) {
+      current.children.push({ type: "value", path: rawPath, raw: true });
+    } else if (marker === "#") {
+      const [block, path] = expression.split(/\s+/);
+      if (!BLOCKS.includes(block) || !path) {
+        throw new Error(`Invalid template block: {{#${expression}}}`);
+      }
+      const node = { type: block, path, children: [], inverse: [] };
+      current.children.push(node);
+      stack.push(node);
+    } else if (marker === "/") {
+      if (stack.length === 1 || current.type !== expression) {
+        throw new Error(`Unexpected {{/${expression}}}`);
+      }
+      if (current.inElse) {
+        current.inverse = current.children;
+        current.children = current.consequent;
+      }
+      stack.pop();
+    } else if (expression === "else") {
+      if (stack.length === 1 || current.inElse) {
+        throw new Error("Unexpected {{else}}");
+      }
+      // Collect the else branch in children, then swap back on close
+      current.inElse = true;
+      current.consequent = current.children;
+      current.children = [];
+    } else {
+      current.children.push({ type: "value", path: expression, raw: false });
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`Unclosed {{#${stack[stack.length - 1].type}}}`);
+  }
+  if (lastIndex < source.length) {
+    root.children.push({ type: "text", value: source.slice(lastIndex) });
+  }
+  return root.children;
+}
+
+/**
+ * Look up a dotted path, innermost scope first
+ * @param {string} path - e.g. "pricing.total", "this" or "@index"
+ * @param {Object[]} scopes - Scopes, outermost first
+ * @returns {*} The value, or undefined
+ */
+function lookup(path, scopes) {
+  const scope = scopes[scopes.length - 1];
+  if (path === "this") return scope.value;
+  if (path.startsWith("@")) return scope.meta[path.slice(1)];
+
+  const [head, ...rest] = path.split(".");
+  for (let i = scopes.length - 1; i >= 0; i--) {
+    const { value } = scopes[i];
+    if (value != null && typeof value === "object" && head in value) {
+      return rest.reduce(
+        (result, key) => (result == null ? undefined : result[key]),
+        value[head]
+      );
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Escape a value for HTML
+ * @param {string} value - Value to escape
+ * @returns {string} Escaped value
+ */
+function escapeHtml(value) {
+  return value
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+/**
+ * Check whether a block condition holds; empty arrays are false
+ * @param {*} value - Condition value
+ * @returns {boolean} True if the condition holds
+ */
+function isTruthy(value) {
+  return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
+
+/**
+ * Render parsed nodes
+ * @param {Object[]} nodes - Parsed nodes
+ * @param {Object[]} scopes - Scopes, outermost first
+ * @param {boolean} html - Escape interpolated values
+ * @returns {string} Rendered output
+ */
+function renderNodes(nodes, scopes, html) {
+  return nodes
+    .map((node) => {
+      if (node.type === "text") return node.value;
+      const value = lookup(node.path, scopes);
+
+      if (node.type === "value") {
+        const text = value == null ? "" : String(value);
+        return html && !node.raw ? escapeHtml(text) : text;
+      }
+      if (node.type === "each") {
+        if (!isTruthy(value)) {
+          return renderNodes(node.inverse, scopes, html);
+        }
+        return value
+          .map((element, index) =>
+            renderNodes(
+              node.children,
+              [
+                ...scopes,
+                { value: element, meta: { index, number: index + 1 } },
+              ],
+              html
+            )
+          )
+          .join("");
+      }
+      const holds = node.type === "if" ? isTruthy(value) : !isTruthy(value);
+      return renderNodes(holds ? node.children : node.inverse, scopes, html);
+    })
+    .join("");
+}
+
+/**
+ * Render a template
+ * @param {string} source - Template source
+ * @param {Object} data - Values for the template
+ * @param {Object} [options] - { html: escape interpolated values (default: false) }
+ * @returns {string} Rendered output
+ * @throws {Error} If the template is malformed
+ */
+function render(source, data, options = {}) {
+  if (!compiled.has(source)) {
+    compiled.set(source, parse(source));
+  }
+  return renderNodes(
+    compiled.get(source),
+    [{ value: data, meta: {} }],
+    Boolean(options.html)
+  );
+}
+
+module.exports = {
+  render,
+  escapeHtml,
+};
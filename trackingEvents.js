@@ -0,0 +1,81 @@
+const { ValidationError } = require("./errors");
+
+/**
+ * Shipment tracking events reported by carriers. Each shipment keeps a
+ * timeline of events in the order they happened; its tracking status is
+ * the status of the latest one.
+ */
+
+const TRACKING_STATUSES = [
+  "label_created",
+  "picked_up",
+  "in_transit",
+  "out_for_delivery",
+  "delivery_attempted",
+  "delivered",
+  "exception",
+];
+
+/**
+ * Check a tracking event and normalize its timestamp
+ * @param {Object} event - { status, location?, occurredAt?, description? }
+ * @param {Date} now - Time of events without an occurredAt, from the
+ *   caller's clock
+ * @returns {Object} { status, location, occurredAt, description }, with
+ *   occurredAt as an ISO string
+ * @throws {ValidationError} If the status or timestamp is invalid
+ */
+function validateTrackingEvent(event, now) {
+  if (!event || !TRACKING_STATUSES.includes(event.status)) {
+    throw new ValidationError(
+      `Tracking status must be one of: ${TRACKING_STATUSES.join(", ")}`
+    );
+  }
+  const { location } = event;
+  if (
+    location !== undefined &&
+    location !== null &&
+    typeof location !== "string"
+  ) {
+    throw new ValidationError("Tracking location must be a string");
+  }
+  const occurredAt =
+    event.occurredAt === undefined ? now : new Date(event.occurredAt);
+  if (Number.isNaN(occurredAt.getTime())) {
+    throw new ValidationError(
+      `Invalid tracking timestamp: ${event.occurredAt}`
+    );
+  }
+
+  return {
+    status: event.status,
+    location: location || null,
+    occurredAt: occurredAt.toISOString(),
+    description: event.description || null,
+  };
+}
+
+/**
+ * Add an event to a timeline, keeping it in time order. Events the
+ * timeline already has (same status and time) are ignored, so carriers can
+ * safely resend updates.
+ * @param {Object[]} events - Timeline
+ * @param {Object} event - Validated event
+ * @returns {Object[]|null} The new timeline, or null for a duplicate
+ */
+function addTrackingEvent(events, event) {
+  const duplicate = events.some(
+    (other) =>
+      other.status === event.status && other.occurredAt === event.occurredAt
+  );
+  if (duplicate) return null;
+  return [...events, event].sort(
+    (a, b) => Date.parse(a.occurredAt) - Date.parse(b.occurredAt)
+  );
+}
+
+module.exports = {
+  TRACKING_STATUSES,
+  validateTrackingEvent,
+  addTrackingEvent,
+};
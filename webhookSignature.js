@@ -0,0 +1,41 @@
+const crypto = require("crypto");
+
+/**
+ * HMAC-SHA256 signatures for webhook bodies. The signature is sent as
+ * "sha256=<hex digest of the raw body>".
+ */
+
+/**
+ * Sign a webhook body
+ * @param {string} secret - Shared secret
+ * @param {string} body - Raw request body
+ * @returns {string} Signature
+ */
+function signPayload(secret, body) {
+  return `sha256=${crypto
+    .createHmac("sha256", secret)
+    .update(body, "utf8")
+    .digest("hex")}`;
+}
+
+/**
+ * Check a webhook body's signature in constant time
+ * @param {string} secret - Shared secret
+ * @param {string} body - Raw request body
+ * @param {string} [signature] - Signature sent with the body
+ * @returns {boolean} True if the signature matches
+ */
+function verifySignature(secret, body, signature) {
+  if (typeof signature !== "string") return false;
+  const expected = Buffer.from(signPayload(secret, body));
+  const actual = Buffer.from(signature);
+  return (
+    expected.length === actual.length &&
+    crypto.timingSafeEqual(expected, actual)
+  );
+}
+
+module.exports = {
+  signPayload,
+  verifySignature,
+};